@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+/*
+  Command-line batch runner for EpiAgents.
+  Copyright (C) 2021  Nathan Geffen
+
+  This program is free software: you can redistribute it and/or modify
+  it under the terms of the GNU Affero General Public License as
+  published by the Free Software Foundation, either version 3 of the
+  License, or (at your option) any later version.
+
+  This program is distributed in the hope that it will be useful,
+  but WITHOUT ANY WARRANTY; without even the implied warranty of
+  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+  GNU Affero General Public License for more details.
+
+  You should have received a copy of the GNU Affero General Public License
+  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+/*
+  Runs one simulation per configuration file, without a browser or timer, to
+  the configuration's maxIterations. For a configuration file named
+  scenario.json it writes scenario-results.csv (the sim.results table),
+  scenario-agents.csv (every agent's state history),
+  scenario-transmissions.csv (who infected whom), if agents have
+  attributes, scenario-groups.csv (results by attribute group), if there
+  are mixing matrices, scenario-contacts.csv (contacts between groups) and,
+  if there are partnerships, scenario-partnerships.csv into the output
+  directory, or .json files if the json format is chosen. With --replicates
+  it instead runs an ensemble of that many replicates per configuration and
+  writes the aggregated statistics to scenario-ensemble.csv. With
+  --calibrate it instead fits the configuration to the observed data in a
+  calibration file (see EpiAgents.Calibration) and writes every evaluation
+  to scenario-calibration.csv, the observed and fitted values to
+  scenario-fit.csv, the best values and posterior statistics to
+  scenario-summary.csv and, for approximate Bayesian computation, the
+  posterior sample to scenario-posterior.csv.
+
+  A configuration file is either JSON or the JavaScript object downloaded from
+  the "configuration" link in the browser. Event functions in a configuration
+  are ignored because they usually refer to the browser user interface; the
+  default events are used instead.
+
+  Usage: node epiagents-cli.js [options] config-file...
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const EpiAgents = require("./epiagents.js");
+
+const USAGE =
+      "Usage: node epiagents-cli.js [options] config-file...\n\n" +
+      "Options:\n" +
+      "  -o, --output DIR        directory for output files (default: .)\n" +
+      "  -f, --format FORMAT     csv or json (default: csv)\n" +
+      "  -s, --seed N            override the seed of every configuration\n" +
+      "  -i, --iterations N      override maxIterations of every configuration\n" +
+      "  -r, --replicates N      run an ensemble of N replicates\n" +
+      "  -c, --calibrate FILE    fit parameters to the data in FILE\n" +
+      "  -h, --help              print this message\n";
+
+function parseArguments(argv) {
+    let args = {
+        output: ".",
+        format: "csv",
+        seed: undefined,
+        iterations: undefined,
+        replicates: undefined,
+        calibrate: undefined,
+        files: []
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === "-h" || arg === "--help") {
+            args.help = true;
+        } else if (arg === "-o" || arg === "--output") {
+            args.output = argv[++i];
+        } else if (arg === "-f" || arg === "--format") {
+            args.format = argv[++i];
+        } else if (arg === "-s" || arg === "--seed") {
+            args.seed = parseInt(argv[++i]);
+        } else if (arg === "-i" || arg === "--iterations") {
+            args.iterations = parseInt(argv[++i]);
+        } else if (arg === "-r" || arg === "--replicates") {
+            args.replicates = parseInt(argv[++i]);
+            if (!(args.replicates >= 1))
+                throw "Replicates must be at least 1";
+        } else if (arg === "-c" || arg === "--calibrate") {
+            args.calibrate = argv[++i];
+        } else if (arg.substr(0, 1) === "-") {
+            throw "Unknown option: " + arg;
+        } else {
+            args.files.push(arg);
+        }
+    }
+    if (args.format !== "csv" && args.format !== "json") {
+        throw "Unknown format: " + args.format;
+    }
+    return args;
+}
+
+function readConfig(filename) {
+    const text = fs.readFileSync(filename, "utf8");
+    let options;
+    try {
+        options = JSON.parse(text);
+    } catch (e) {
+        options = new Function("return (" + text + "\n);")();
+    }
+    const problems = EpiAgents.validateOptions(options);
+    if (problems.length > 0)
+        throw new EpiAgents.EpiAgentsConfigError(problems);
+    return EpiAgents.headlessOptions(options);
+}
+
+function writeOutput(sim, prefix, format) {
+    if (format === "json") {
+        fs.writeFileSync(prefix + "-results.json",
+                         JSON.stringify(sim.results));
+        fs.writeFileSync(prefix + "-agents.json",
+                         JSON.stringify(EpiAgents.agentsToObjects(sim)));
+        fs.writeFileSync(prefix + "-transmissions.json",
+                         JSON.stringify(EpiAgents.transmissionsToObject(sim)));
+        if (sim.groups.length > 0)
+            fs.writeFileSync(prefix + "-groups.json",
+                             JSON.stringify(sim.groupResults));
+        if (sim.mixing.length > 0)
+            fs.writeFileSync(prefix + "-contacts.json",
+                             JSON.stringify(sim.mixing));
+        if (sim.config.partnerships)
+            fs.writeFileSync(prefix + "-partnerships.json",
+                             JSON.stringify(sim.partnerships.map(p => ({
+                                 ...p, agents: p.agentIds, agentIds: undefined
+                             }))));
+    } else {
+        fs.writeFileSync(prefix + "-results.csv", EpiAgents.resultsToCSV(sim));
+        fs.writeFileSync(prefix + "-agents.csv", EpiAgents.agentsToCSV(sim));
+        fs.writeFileSync(prefix + "-transmissions.csv",
+                         EpiAgents.transmissionsToCSV(sim));
+        if (sim.groups.length > 0)
+            fs.writeFileSync(prefix + "-groups.csv",
+                             EpiAgents.groupResultsToCSV(sim));
+        if (sim.mixing.length > 0)
+            fs.writeFileSync(prefix + "-contacts.csv",
+                             EpiAgents.contactsToCSV(sim));
+        if (sim.config.partnerships)
+            fs.writeFileSync(prefix + "-partnerships.csv",
+                             EpiAgents.partnershipsToCSV(sim));
+    }
+}
+
+function writeEnsembleOutput(ensemble, prefix, format) {
+    if (format === "json") {
+        fs.writeFileSync(prefix + "-ensemble.json",
+                         JSON.stringify({
+                             seed: ensemble.config.seed,
+                             seeds: ensemble.seeds,
+                             labels: ensemble.labels,
+                             stats: ensemble.stats
+                         }));
+    } else {
+        fs.writeFileSync(prefix + "-ensemble.csv",
+                         EpiAgents.resultsToCSV(ensemble));
+    }
+}
+
+function writeCalibrationOutput(calibration, prefix, format) {
+    if (format === "json") {
+        fs.writeFileSync(prefix + "-calibration.json",
+                         JSON.stringify({
+                             seed: calibration.config.seed,
+                             best: calibration.best,
+                             converged: calibration.converged,
+                             posterior: calibration.posterior,
+                             summary: calibration.summary,
+                             fit: calibration.fit,
+                             evaluations: calibration.results
+                         }));
+    } else {
+        fs.writeFileSync(prefix + "-calibration.csv",
+                         EpiAgents.resultsToCSV(calibration));
+        fs.writeFileSync(prefix + "-fit.csv",
+                         EpiAgents.resultsToCSV({results: calibration.fit}));
+        fs.writeFileSync(prefix + "-summary.csv",
+                         EpiAgents.resultsToCSV({
+                             results: calibration.summary
+                         }));
+        if (calibration.posterior.length > 0)
+            fs.writeFileSync(prefix + "-posterior.csv",
+                             EpiAgents.resultsToCSV({
+                                 results: [calibration.results[0].slice(0, -1)].
+                                     concat(calibration.posterior)
+                             }));
+    }
+}
+
+function main(argv) {
+    let args;
+    try {
+        args = parseArguments(argv);
+    } catch (e) {
+        process.stderr.write(e + "\n" + USAGE);
+        return 2;
+    }
+    if (args.help || args.files.length === 0) {
+        process.stdout.write(USAGE);
+        return args.help ? 0 : 2;
+    }
+    fs.mkdirSync(args.output, { recursive: true });
+    let spec;
+    if (args.calibrate !== undefined) {
+        try {
+            spec = JSON.parse(fs.readFileSync(args.calibrate, "utf8"));
+        } catch (e) {
+            process.stderr.write(args.calibrate + ": " + e + "\n");
+            return 1;
+        }
+    }
+    let status = 0;
+    for (const filename of args.files) {
+        try {
+            let options = readConfig(filename);
+            if (args.seed !== undefined)
+                options.seed = args.seed;
+            if (args.iterations !== undefined)
+                options.maxIterations = args.iterations;
+            const prefix = path.join(args.output,
+                                     path.basename(filename,
+                                                   path.extname(filename)));
+            if (spec !== undefined) {
+                let calibration = EpiAgents.createCalibration(options, spec);
+                calibration.run();
+                writeCalibrationOutput(calibration, prefix, args.format);
+                process.stdout.write(filename + ": " +
+                                     calibration.evaluations.length +
+                                     " evaluations, best distance " +
+                                     EpiAgents.round(calibration.best.distance,
+                                                     4) +
+                                     (calibration.converged === false ?
+                                      ", did not converge" : "") + "\n");
+            } else if (args.replicates !== undefined) {
+                let ensemble = EpiAgents.createEnsemble(options,
+                                                        args.replicates);
+                ensemble.run();
+                writeEnsembleOutput(ensemble, prefix, args.format);
+                process.stdout.write(filename + ": " + args.replicates +
+                                     " replicates, seed " +
+                                     ensemble.config.seed + "\n");
+            } else {
+                const sim = EpiAgents.runSimulation(options);
+                writeOutput(sim, prefix, args.format);
+                process.stdout.write(filename + ": " + sim.iteration +
+                                     " iterations, seed " + sim.config.seed +
+                                     "\n");
+            }
+        } catch (e) {
+            process.stderr.write(filename + ": " + e + "\n");
+            status = 1;
+        }
+    }
+    return status;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+    readConfig: readConfig,
+    main: main
+};
@@ -31,6 +31,12 @@
   responsible for iteratively drawing the canvas on which the simulation takes
   place, drawing the accompanying chart, providing a form for users to change
   the model parameters, and printing the model output.
+
+  EpiAgents never touches the DOM, so it can also be run headless. In the
+  browser it is attached to window.EpiAgents. Under Node.js it is the module's
+  export and can be loaded with require("./epiagents.js") or, from an ES
+  module, import EpiAgents from "./epiagents.js". See epiagents-cli.js for a
+  command-line batch runner.
  */
 
 
@@ -38,11 +44,89 @@
 
 (function (EpiAgents) {
 
+    /*
+      The states an agent can be in, i.e. the compartments of the model. Any
+      set of states can be used, e.g. SIR, SEIRS or HIV staging, by passing
+      simulationStates (or states on a cluster) in the options. The engine,
+      counters, chart and parameter panel use only these properties of each
+      state:
+
+      description, color: used in the results and on the canvas and chart.
+      susceptible: agents in this state can be infected.
+      infectionEntry: the state newly infected agents enter. There must be
+          one if any state is susceptible.
+      infected: agents in this state are counted in the infections counter.
+      infectiousness: the risk of infecting a susceptible agent on collision.
+          States with infectiousness above 0 are infectious.
+      dead: agents in this state are removed: they don't move, aren't drawn
+          and aren't counted as alive.
+      immobile: agents in this state are alive but don't move.
+      care: agents in this state are being cared for, e.g. in hospital: they
+          aren't tested and don't isolate.
+      vaccinated: the state agents protected by a vaccination campaign enter.
+      isolated: the state infected agents enter when they test positive or
+          are traced (see eventTestAndTrace).
+      quarantine: the state uninfected agents enter when they are traced.
+          A QUARANTINED state is added if testing is configured and there is
+          none.
+      print: whether the state's counter is shown in the results table and on
+          the chart (default true).
+      initialRatio: relative share of agents in this state at the start.
+
+      For example, a minimal SIR model:
+          {
+              S: {description: "susceptible", color: "rgb(0, 0, 255)",
+                  susceptible: true, infectiousness: 0.0, initialRatio: 99,
+                  nextStateProb: {}},
+              I: {description: "infectious", color: "rgb(220, 0, 0)",
+                  infectionEntry: true, infected: true, infectiousness: 0.5,
+                  initialRatio: 1, nextStateProb: {R: 0.05}},
+              R: {description: "recovered", color: "rgb(0, 150, 0)",
+                  infectiousness: 0.0, initialRatio: 0, nextStateProb: {}}
+          }
+      States written for early versions, which declare none of the
+      susceptible, infectionEntry and dead roles, get them from their names:
+      SUSCEPTIBLE, INFECTED_EXPOSED and DEAD (see addLegacyRoles).
+
+      nextStateProb lists the states an agent can move to from a state. How
+      its values are used depends on the simulation's transitionMode:
+
+      competing (default): each value is the probability per iteration of
+          moving to that state. At most one transition happens per iteration,
+          so the values of a state must sum to at most 1, and the probability
+          of staying is 1 minus the sum.
+      rates: each value is a rate (hazard) per iteration. The probability of
+          leaving is 1 - exp(-total rate), shared among the destinations in
+          proportion to their rates.
+      sequential: the behaviour of early versions. Destinations are tried in
+          order and the first success wins, so earlier destinations are
+          favoured.
+
+      Instead of leaving with a fixed chance every iteration, a state can
+      specify how long agents stay in it with a duration, one of
+          {distribution: "fixed", value: 5}
+          {distribution: "uniform", min: 3, max: 7}
+          {distribution: "gamma", shape: 2, scale: 2.5}
+          {distribution: "lognormal", meanlog: 1.5, sdlog: 0.5}
+          {distribution: "empirical", values: [3, 4, 5], weights: [1, 2, 1]}
+      in iterations. The iteration on which an agent will leave is drawn when
+      it enters the state and stored as the third element of its states
+      history entry. It then moves to a destination chosen in proportion to
+      the state's nextStateWeights, or if there are none, its nextStateProb.
+      For example, immunity that wanes after about 180 iterations:
+          RECOVERED: {
+              ...
+              duration: {distribution: "gamma", shape: 4, scale: 45},
+              nextStateWeights: {SUSCEPTIBLE: 1}
+          }
+     */
     let SimulationStates = {
         SUSCEPTIBLE: {
             description: "susceptible",
             color: "rgb(0, 0, 255)",
             infected: false,
+            susceptible: true,
+            print: true,
             infectiousness: 0.0,
             initialRatio: 95,
             nextStateProb: {
@@ -53,6 +137,8 @@
             description: "exposed",
             color: "rgb(200, 0, 0)",
             infected: true,
+            infectionEntry: true,
+            print: false,
             infectiousness: 0.0,
             initialRatio: 3,
             nextStateProb: {
@@ -63,6 +149,7 @@
             description: "asymptomatic",
             color: "rgb(210, 0, 0)",
             infected: true,
+            print: false,
             infectiousness: 0.1,
             initialRatio: 1,
             nextStateProb: {
@@ -74,6 +161,7 @@
             description: "symptomatic",
             color: "rgb(220, 0, 0)",
             infected: true,
+            print: false,
             infectiousness: 0.5,
             initialRatio: 1,
             nextStateProb: {
@@ -86,6 +174,8 @@
             description: "isolated",
             color: "rgb(225, 0, 0)",
             infected: true,
+            isolated: true,
+            print: false,
             infectiousness: 0.001,
             initialRatio: 0,
             nextStateProb: {
@@ -97,7 +187,8 @@
             description: "hospitalized",
             color: "rgb(230, 0, 0)",
             infected: true,
-            infected: true,
+            care: true,
+            print: false,
             infectiousness: 0.5,
             initialRatio: 0,
             nextStateProb: {
@@ -109,6 +200,8 @@
             description: "high care",
             color: "rgb(240, 0, 0)",
             infected: true,
+            care: true,
+            print: false,
             infectiousness: 0.5,
             initialRatio: 0,
             nextStateProb: {
@@ -120,6 +213,8 @@
             description: "treated",
             color: "rgb(0, 150, 40)",
             infected: true,
+            care: true,
+            print: false,
             infectiousness: 0.001,
             initialRatio: 0,
             nextStateProb: {
@@ -131,6 +226,7 @@
             description: "recovered",
             color: "rgb(0, 150, 0)",
             infected: false,
+            print: true,
             infectiousness: 0.0,
             initialRatio: 0,
             nextStateProb: {
@@ -142,6 +238,8 @@
             description: "vaccinated",
             color: "rgb(0, 255, 0)",
             infected: false,
+            vaccinated: true,
+            print: false,
             infectiousness: 0.0,
             initialRatio: 0,
             nextStateProb: {
@@ -152,6 +250,8 @@
             description: "dead",
             color: "rgb(0, 0, 0)",
             infected: false,
+            dead: true,
+            print: false,
             infectiousness: 0.0,
             initialRatio: 0,
             nextStateProb: {}
@@ -160,12 +260,58 @@
 
     EpiAgents.SimulationStates = SimulationStates;
 
+    // Returns the key of the first state with a role, e.g. "infectionEntry".
+    function findStateWithRole(states, role) {
+        for (const state in states) {
+            if (states[state][role])
+                return state;
+        }
+        return undefined;
+    }
+
+    EpiAgents.findStateWithRole = findStateWithRole;
+
+    // The roles early versions gave to states by name
+    const LEGACY_ROLES = {
+        SUSCEPTIBLE: "susceptible",
+        INFECTED_EXPOSED: "infectionEntry",
+        DEAD: "dead"
+    };
+
+    // Returns states that declare none of the legacy roles with the roles
+    // their names had, or the states unchanged
+    function addLegacyRoles(states) {
+        if (typeof states !== "object" || states === null)
+            return states;
+        const roles = Object.values(LEGACY_ROLES);
+        for (const key in states) {
+            if (typeof states[key] !== "object" || states[key] === null ||
+                roles.some(role => states[key][role]))
+                return states;
+        }
+        let result = {...states};
+        for (const key in LEGACY_ROLES) {
+            if (key in result)
+                result[key] = {...result[key], [LEGACY_ROLES[key]]: true};
+        }
+        return result;
+    }
+
+    EpiAgents.addLegacyRoles = addLegacyRoles;
+
     const SimulationPhase = {
         PAUSED: 0,
         PLAYING: 1
     };
     EpiAgents.SimulationPhase = SimulationPhase;
 
+    const TransitionMode = {
+        COMPETING: "competing",
+        RATES: "rates",
+        SEQUENTIAL: "sequential"
+    };
+    EpiAgents.TransitionMode = TransitionMode;
+
     const EventPhase = {
         BEFORE: 0,
         DURING: 1,
@@ -173,6 +319,25 @@
     };
     EpiAgents.EventPhase = EventPhase;
 
+    /*
+      Thrown when a simulation is configured incorrectly. problems lists
+      every problem found as {path, message}, where path locates the value
+      in the options, e.g. clusters[0].states.SUSCEPTIBLE.initialRatio.
+     */
+    class EpiAgentsConfigError extends Error {
+        constructor(problems) {
+            super("Invalid configuration:\n" + problems.map(
+                p => "  " + p.path + ": " + p.message).join("\n"));
+            this.name = "EpiAgentsConfigError";
+            this.problems = problems;
+        }
+    }
+
+    EpiAgents.EpiAgentsConfigError = EpiAgentsConfigError;
+
+    function configError(path, message) {
+        return new EpiAgentsConfigError([{path: path, message: message}]);
+    }
 
 
     const DIRECTION = [ [-1, -1], [-1, 0], [-1, 1], [0, -1],
@@ -183,10 +348,35 @@
         return Math.round(val) / Math.pow(10, places);
     }
 
+    EpiAgents.round = round;
+
+    /* Mulberry32 pseudo-random number generator. Returns a function that,
+       like Math.random, yields uniform numbers in [0, 1), but whose stream is
+       fully determined by the 32-bit integer seed.
+     */
+    function makeRandom(seed) {
+        let a = seed >>> 0;
+        return function() {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+    }
+
+    EpiAgents.makeRandom = makeRandom;
+
+    function makeSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    }
+
+    EpiAgents.makeSeed = makeSeed;
+
     /* From
        https://stackoverflow.com/questions/25582882/javascript-math-random-normal-distribution-gaussian-bell-curve
      */
-    function gaussian(mean, stdev) {
+    function gaussian(mean, stdev, random=Math.random) {
         var y2;
         var use_last = false;
         return function() {
@@ -197,8 +387,8 @@
             } else {
                 var x1, x2, w;
                 do {
-                    x1 = 2.0 * Math.random() - 1.0;
-                    x2 = 2.0 * Math.random() - 1.0;
+                    x1 = 2.0 * random() - 1.0;
+                    x2 = 2.0 * random() - 1.0;
                     w = x1 * x1 + x2 * x2;
                 } while (w >= 1.0);
                 w = Math.sqrt((-2.0 * Math.log(w)) / w);
@@ -214,6 +404,86 @@
         }
     }
 
+    function normal(random) {
+        let u = 0.0;
+        while (u === 0.0) u = random();
+        const v = random();
+        return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+    }
+
+    EpiAgents.normal = normal;
+
+    // Marsaglia and Tsang's method
+    function gammaVariate(shape, random) {
+        if (shape < 1.0) {
+            return gammaVariate(1.0 + shape, random) *
+                Math.pow(random(), 1.0 / shape);
+        }
+        const d = shape - 1.0 / 3.0;
+        const c = 1.0 / Math.sqrt(9.0 * d);
+        for (;;) {
+            let x, v;
+            do {
+                x = normal(random);
+                v = 1.0 + c * x;
+            } while (v <= 0.0);
+            v = v * v * v;
+            const u = random();
+            if (u < 1.0 - 0.0331 * x * x * x * x ||
+                Math.log(u) < 0.5 * x * x + d * (1.0 - v + Math.log(v)))
+                return d * v;
+        }
+    }
+
+    // Returns a key of weights chosen with probability proportional to its
+    // value, or undefined if the weights sum to 0.
+    function chooseWeighted(weights, random) {
+        let total = 0.0;
+        for (const key in weights)
+            total += Number(weights[key]);
+        if (total <= 0.0)
+            return undefined;
+        const r = random() * total;
+        let cumulative = 0.0;
+        let last;
+        for (const key in weights) {
+            if (weights[key] <= 0)
+                continue;
+            cumulative += Number(weights[key]);
+            last = key;
+            if (r < cumulative)
+                return key;
+        }
+        return last;
+    }
+
+    EpiAgents.chooseWeighted = chooseWeighted;
+
+    // Number of iterations, at least 1, drawn from a state's duration
+    // distribution (see SimulationStates).
+    function sampleDuration(duration, random=Math.random) {
+        let d;
+        if (duration.distribution === "fixed") {
+            d = duration.value;
+        } else if (duration.distribution === "uniform") {
+            d = duration.min + random() * (duration.max - duration.min);
+        } else if (duration.distribution === "gamma") {
+            d = gammaVariate(duration.shape, random) * duration.scale;
+        } else if (duration.distribution === "lognormal") {
+            d = Math.exp(duration.meanlog + duration.sdlog * normal(random));
+        } else if (duration.distribution === "empirical") {
+            const weights = duration.weights ||
+                  duration.values.map(v => 1);
+            d = duration.values[chooseWeighted(weights, random)];
+        } else {
+            throw configError("duration.distribution",
+                              "unknown distribution " + duration.distribution);
+        }
+        return Math.max(1, Math.round(d));
+    }
+
+    EpiAgents.sampleDuration = sampleDuration;
+
     function deepCopy(aObject) {
         if (!aObject) return aObject;
         if (typeof aObject === "string" || typeof aObject === "number")
@@ -244,7 +514,9 @@
 
         if (t === "undefined") {
             str = "";
-        } else if (t === "number") {
+        } else if (obj === null) {
+            str = "null";
+        } else if (t === "number" || t === "boolean") {
             str = obj.toString();
         } else if (t === "function") {
             str = obj.toString();
@@ -283,17 +555,17 @@
 
     EpiAgents.objToString = objToString;
 
-    function shuffleArray(arr) {
+    function shuffleArray(arr, random=Math.random) {
         for (let i = arr.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(random() * (i + 1));
             [arr[i], arr[j]] = [arr[j], arr[i]];
         }
     }
 
-    function createShuffledIndices(n) {
+    function createShuffledIndices(n, random=Math.random) {
         let arr = Array.from(new Array(n), (x,i) => i+1);
         for (let i = 0; i < n; i++) arr[i] = i;
-        shuffleArray(arr);
+        shuffleArray(arr, random);
         return arr;
     }
 
@@ -325,39 +597,324 @@
         return false;
     }
 
-    function makeInfection(from_agent, to_agent, risk) {
-        if (Math.random() < risk) {
-            to_agent.states.push([to_agent.sim.iteration, "INFECTED_EXPOSED"]);
-            ++to_agent.sim.counters.total_simulation_infections.num;
+    /*
+      Uniform grid over the bounding box of the clusters, used so that a moving
+      agent only tests agents in its own and the eight adjacent cells for
+      collisions. Cells are at least as wide as the largest distance at which
+      two agents can collide in one iteration (two radii plus two steps), so
+      no collision is missed. An agent is removed from the grid once it has
+      moved, which means every pair of agents is tested exactly once per
+      iteration: when the first of the two moves.
+     */
+    class SpatialGrid {
+        constructor(sim, agents) {
+            let maxRadius = 0.0;
+            let maxStep = 0.0;
+            for (const agent of agents) {
+                maxRadius = Math.max(maxRadius, agent.radius);
+                maxStep = Math.max(maxStep, Math.abs(agent.dx),
+                                   Math.abs(agent.dy));
+            }
+            this.left = Math.min(...sim.clusters.map(c => c.left));
+            this.top = Math.min(...sim.clusters.map(c => c.top));
+            const right = Math.max(...sim.clusters.map(c => c.right));
+            const bottom = Math.max(...sim.clusters.map(c => c.bottom));
+            this.cellSize = Math.max(2.0 * (maxRadius + maxStep), 1.0);
+            this.cols = Math.max(1, Math.ceil((right - this.left) /
+                                              this.cellSize));
+            this.rows = Math.max(1, Math.ceil((bottom - this.top) /
+                                              this.cellSize));
+            this.cells = new Map();
+            for (let agent of agents) {
+                this.insert(agent);
+            }
+        }
+
+        column(x) {
+            const c = Math.floor((x - this.left) / this.cellSize);
+            return Math.min(Math.max(c, 0), this.cols - 1);
+        }
+
+        row(y) {
+            const r = Math.floor((y - this.top) / this.cellSize);
+            return Math.min(Math.max(r, 0), this.rows - 1);
+        }
+
+        insert(agent) {
+            const key = this.row(agent.y) * this.cols + this.column(agent.x);
+            let cell = this.cells.get(key);
+            if (cell === undefined) {
+                cell = [];
+                this.cells.set(key, cell);
+            }
+            cell.push(agent);
+            agent.gridKey = key;
+        }
+
+        remove(agent) {
+            let cell = this.cells.get(agent.gridKey);
+            if (cell === undefined)
+                return;
+            const index = cell.indexOf(agent);
+            if (index > -1) {
+                cell[index] = cell[cell.length - 1];
+                cell.pop();
+            }
+            agent.gridKey = undefined;
+        }
+
+        neighbours(agent) {
+            let result = [];
+            const col = this.column(agent.x);
+            const row = this.row(agent.y);
+            for (let r = Math.max(row - 1, 0);
+                 r <= Math.min(row + 1, this.rows - 1); r++) {
+                for (let c = Math.max(col - 1, 0);
+                     c <= Math.min(col + 1, this.cols - 1); c++) {
+                    const cell = this.cells.get(r * this.cols + c);
+                    if (cell !== undefined) {
+                        for (const other of cell) {
+                            if (other !== agent)
+                                result.push(other);
+                        }
+                    }
+                }
+            }
+            return result;
+        }
+    }
+
+    EpiAgents.SpatialGrid = SpatialGrid;
+
+    // layer is the contact layer of the infection or "partnership", or
+    // undefined for a collision
+    function makeInfection(from_agent, to_agent, risk, layer) {
+        const sim = to_agent.sim;
+        risk *= from_agent.infectiousnessMultiplier *
+            to_agent.susceptibilityMultiplier;
+        if (sim.random() < risk) {
+            sim.transmissions.push({
+                iteration: sim.iteration,
+                infector: from_agent.id,
+                infectee: to_agent.id,
+                x: to_agent.x,
+                y: to_agent.y,
+                cluster: to_agent.cluster.name,
+                infectorState: from_agent.getStateKey(),
+                layer: layer || "collision"
+            });
+            if (layer !== undefined) {
+                let incidence = sim.layerIncidence[layer];
+                incidence[sim.iteration] = (incidence[sim.iteration] || 0) + 1;
+                ++sim.counters["total_" + layer + "_infections"].num;
+            }
+            ++from_agent.infectionsCaused;
+            for (const name in sim.groupInfections) {
+                const value = to_agent.attributes[name];
+                sim.groupInfections[name][value] =
+                    (sim.groupInfections[name][value] || 0) + 1;
+            }
+            sim.incidence[sim.iteration] =
+                (sim.incidence[sim.iteration] || 0) + 1;
+            if (typeof from_agent.infectedAt === "number") {
+                const interval = sim.iteration - from_agent.infectedAt;
+                sim.generationIntervalCounts[interval] =
+                    (sim.generationIntervalCounts[interval] || 0) + 1;
+            }
+            const strain = from_agent.getState().strain;
+            if (strain !== undefined) {
+                let incidence = sim.strainIncidence[strain];
+                incidence[sim.iteration] = (incidence[sim.iteration] || 0) + 1;
+                ++sim.counters["total_" + strain + "_infections"].num;
+            }
+            to_agent.setState(sim.iteration,
+                              findStrainState(to_agent.cluster.states,
+                                              "infectionEntry", strain));
+            ++sim.counters.total_simulation_infections.num;
         }
     }
 
+    /* Wraps an event that applies to the whole simulation rather than a
+       cluster, e.g. vaccination or testing, so that it runs once per
+       iteration, with the first cluster's events. */
+    function oncePerIteration(event) {
+        return function(sim, cluster) {
+            if (cluster && cluster !== sim.clusters[0])
+                return;
+            event(sim);
+        };
+    }
+
     function eventMoveAgents(sim) {
-        for (let agent of sim.agents) {
-            if (agent.getStateKey() != "DEAD")
+        const moving = sim.agents.filter(
+            agent => !agent.getState().dead && !agent.travel);
+        sim.grid = new SpatialGrid(sim, moving);
+        for (let agent of moving) {
+            if (!agent.getState().immobile)
                 agent.move();
         }
+        sim.grid = undefined;
+    }
+
+    function travelTime(sim, from, to) {
+        const times = sim.config.travelTimes;
+        if (Array.isArray(times))
+            return (times[from] && times[from][to]) || 0;
+        return times || 0;
+    }
+
+    function arriveAgent(sim, agent) {
+        const cluster = agent.travel.to;
+        agent.cluster = cluster;
+        agent.x = sim.random() * (cluster.right - cluster.left) + cluster.left;
+        agent.y = sim.random() * (cluster.bottom - cluster.top) + cluster.top;
+        agent.correctPosition();
+        agent.travel.arrival = sim.iteration;
+        agent.lastTravel = agent.travel;
+        agent.travel = undefined;
+    }
+
+    function migrateAgent(sim, agent, from, to) {
+        agent.travel = {
+            from: sim.clusters[from],
+            to: sim.clusters[to],
+            departure: sim.iteration,
+            arrival: sim.iteration + travelTime(sim, from, to)
+        };
+        agent.migrations.push(agent.travel);
+        ++sim.counters.total_migrations.num;
+        if (agent.travel.arrival <= sim.iteration)
+            arriveAgent(sim, agent);
+    }
+
+    /*
+      Agents leave the cluster with the per-iteration probabilities in the
+      cluster's row of config.migrationRates. While travelling (if
+      config.travelTimes is set) an agent is in no cluster: it neither moves
+      nor collides, but it still advances through its states. Travellers due
+      at this cluster arrive at a random position in it.
+     */
+    function eventMigrateAgents(sim, cluster) {
+        const rates = sim.config.migrationRates;
+        const from = sim.clusters.indexOf(cluster);
+        const row = (rates && rates[from]) || [];
+        const total = row.reduce((a, b) => a + (b || 0), 0);
+        for (let agent of sim.agents) {
+            if (agent.travel) {
+                if (agent.travel.to === cluster &&
+                    agent.travel.arrival <= sim.iteration)
+                    arriveAgent(sim, agent);
+                continue;
+            }
+            if (total === 0 || agent.cluster !== cluster ||
+                agent.getState().dead ||
+                (agent.lastTravel &&
+                 agent.lastTravel.arrival === sim.iteration))
+                continue;
+            const r = sim.random();
+            let cumulative = 0.0;
+            for (let to = 0; to < sim.clusters.length; to++) {
+                if (to === from)
+                    continue;
+                cumulative += row[to] || 0;
+                if (r < cumulative) {
+                    migrateAgent(sim, agent, from, to);
+                    break;
+                }
+            }
+        }
+    }
+
+    EpiAgents.eventMigrateAgents = eventMigrateAgents;
+
+    /* Returns the probability of each transition out of a state in one
+       iteration, according to the transition mode (see SimulationStates).
+     */
+    function exitProbabilities(nextStateProb, mode=TransitionMode.COMPETING) {
+        let probs = {};
+        let total = 0.0;
+        for (const next_state in nextStateProb)
+            total += Number(nextStateProb[next_state]);
+        if (mode === TransitionMode.RATES) {
+            const exit = 1.0 - Math.exp(-total);
+            for (const next_state in nextStateProb) {
+                probs[next_state] = total > 0.0 ?
+                    exit * nextStateProb[next_state] / total : 0.0;
+            }
+        } else if (mode === TransitionMode.SEQUENTIAL) {
+            let remaining = 1.0;
+            for (const next_state in nextStateProb) {
+                const p = Number(nextStateProb[next_state]);
+                probs[next_state] = remaining * p;
+                remaining *= 1.0 - p;
+            }
+        } else {
+            // Probabilities edited while running may sum to more than 1. They
+            // are scaled down rather than favouring any destination.
+            const scale = total > 1.0 ? 1.0 / total : 1.0;
+            for (const next_state in nextStateProb)
+                probs[next_state] = nextStateProb[next_state] * scale;
+        }
+        return probs;
+    }
+
+    EpiAgents.exitProbabilities = exitProbabilities;
+
+    // [next state, cumulative probability] of each way out of a state
+    function cumulativeExits(nextStateProb, mode) {
+        const probs = exitProbabilities(nextStateProb, mode);
+        let sum = 0.0;
+        let exits = [];
+        for (const next_state in probs) {
+            sum += probs[next_state];
+            exits.push([next_state, sum]);
+        }
+        return exits;
     }
 
     function eventAdvanceAgents(sim) {
+        let cumulative = new Map();
         for (let agent of sim.agents) {
-            for (const state in agent.cluster.states) {
-                if (agent.cluster.states.hasOwnProperty(state) &&
-                    agent.getStateKey() === state) {
-                    for (const next_state in
-                         agent.cluster.states[state].nextStateProb) {
-                        const risk =
-                              agent.cluster.states[state].nextStateProb[next_state];
-                        if (Math.random() < risk) {
-                            agent.states.push([sim.iteration, next_state]);
-                            break;
-                        }
-                    }
+            const state = agent.getState();
+            const factors = agent.transitionMultipliers[agent.getStateKey()];
+            if (state.duration) {
+                if (sim.iteration >= agent.getExitIteration()) {
+                    let weights = state.nextStateWeights || state.nextStateProb;
+                    if (factors)
+                        weights = multiplyTransitions(weights, factors);
+                    const next_state = chooseWeighted(weights, sim.random);
+                    if (next_state !== undefined)
+                        agent.setState(sim.iteration, next_state);
+                }
+                continue;
+            }
+            let exits;
+            if (factors) {
+                exits = cumulativeExits(
+                    multiplyTransitions(state.nextStateProb, factors),
+                    sim.config.transitionMode);
+            } else {
+                exits = cumulative.get(state);
+                if (exits === undefined) {
+                    exits = cumulativeExits(state.nextStateProb,
+                                            sim.config.transitionMode);
+                    cumulative.set(state, exits);
+                }
+            }
+            if (exits.length === 0)
+                continue;
+            const r = sim.random();
+            for (const [next_state, p] of exits) {
+                if (r < p) {
+                    agent.setState(sim.iteration, next_state);
+                    break;
                 }
             }
         }
     }
 
+    EpiAgents.eventAdvanceAgents = eventAdvanceAgents;
+
     function eventCalcResults(sim) {
         for (const key in sim.counters) {
             if (key.substr(0, 6) !== "total_") {
@@ -369,19 +926,114 @@
             if (state in sim.counters) {
                 ++sim.counters[state].num;
             }
+            const strain = agent.cluster.states[state].strain;
+            if (strain !== undefined)
+                ++sim.counters[strain + "_infected"].num;
             if (agent.cluster.states[state].infected)
                 ++sim.counters.infections.num;
-            if (state !== "DEAD")
+            if (!agent.cluster.states[state].dead)
                 ++sim.counters.alive.num;
+            if (agent.travel)
+                ++sim.counters.travelling.num;
+        }
+        sim.config.interventions.forEach(function(intervention, i) {
+            sim.counters[interventionCounter(intervention)].num =
+                sim.interventionStatus[i].active ? 1 : 0;
+        });
+        if ("vaccine_doses" in sim.counters)
+            sim.counters.vaccine_doses.num = sim.vaccineDoses[sim.iteration] || 0;
+        for (const layer of sim.config.layers) {
+            sim.counters[layerCounter(layer)].num =
+                sim.layerIncidence[layer.name][sim.iteration] || 0;
+        }
+        for (const strain of sim.config.strains) {
+            sim.counters[strainCounter(strain, "infections")].num =
+                sim.strainIncidence[strain.name][sim.iteration] || 0;
+        }
+        if (sim.config.partnerships) {
+            sim.counters.partnerships.num = sim.activePartnerships.length;
+            sim.counters.concurrent.num =
+                sim.agents.filter(a => a.partners.length > 1).length;
+            sim.counters.partnership_infections.num =
+                sim.layerIncidence.partnership[sim.iteration] || 0;
+        }
+        if (sim.config.testing) {
+            const counts = sim.testCounts[sim.iteration] || {};
+            for (const key of TESTING_COUNTERS)
+                sim.counters[key].num = counts[key] || 0;
         }
+        if (sim.config.demography) {
+            const counts = sim.demographyCounts[sim.iteration] || {};
+            for (const key of DEMOGRAPHY_COUNTERS)
+                sim.counters[key].num = counts[key] || 0;
+        }
+        calcReproductionNumbers(sim);
     }
 
     EpiAgents.eventCalcResults = eventCalcResults;
 
+    /*
+      Two estimates of the reproduction number over the last config.rtWindow
+      iterations, both 0 until they can be estimated:
+
+      rt_case: the mean number of agents infected by each agent whose
+          infection ended in the window. As their infections are over, these
+          counts are final, but the estimate lags transmission.
+      rt_cori: incidence in the window divided by the total infectiousness of
+          earlier incidence, weighted by the generation interval distribution
+          (the point estimate of Cori et al. 2013). The distribution is
+          config.generationInterval (weights for intervals of 1, 2, ...
+          iterations) if given, else the intervals observed so far in the
+          simulation.
+     */
+    function calcReproductionNumbers(sim) {
+        if (!("rt_case" in sim.counters))
+            return;
+        const rtWindow = sim.config.rtWindow;
+        const start = sim.iteration - rtWindow + 1;
+
+        let cases = 0;
+        let completed = 0;
+        for (let i = sim.completedInfections.length - 1; i >= 0; i--) {
+            const [iteration, n] = sim.completedInfections[i];
+            if (iteration < start)
+                break;
+            cases += n;
+            ++completed;
+        }
+        sim.counters.rt_case.num = completed > 0 ?
+            round(cases / completed, 3) : 0;
+
+        let weights = sim.config.generationInterval;
+        if (!weights) {
+            weights = [];
+            for (let k = 1; k < sim.generationIntervalCounts.length; k++)
+                weights.push(sim.generationIntervalCounts[k] || 0);
+        } else {
+            weights = [].concat(weights);
+        }
+        const total = weights.reduce((a, b) => a + b, 0);
+        let incidence = 0;
+        let pressure = 0.0;
+        if (total > 0) {
+            for (let t = Math.max(start, 0); t <= sim.iteration; t++) {
+                incidence += sim.incidence[t] || 0;
+                for (let k = 1; k <= weights.length && k <= t; k++) {
+                    pressure += (weights[k - 1] / total) *
+                        (sim.incidence[t - k] || 0);
+                }
+            }
+        }
+        sim.counters.rt_cori.num = pressure > 0.0 ?
+            round(incidence / pressure, 3) : 0;
+    }
+
     function eventRecordResultHeader(sim) {
         let header = ["#",];
         for (let key in sim.counters) header.push(key);
         sim.results.push(header);
+        if (sim.groups.length > 0)
+            recordGroupResultHeader(sim);
     }
 
     EpiAgents.eventRecordResultHeader = eventRecordResultHeader;
@@ -398,6 +1050,8 @@
         for (let key in sim.counters)
             result.push(sim.counters[key].num);
         sim.results.push(result);
+        if (sim.groups.length > 0)
+            recordGroupResult(sim, result[0]);
     }
 
     function ifElse(x, y) {
@@ -408,120 +1062,2001 @@
 
     EpiAgents.eventRecordResult = eventRecordResult;
 
-    class Agent {
-        constructor(sim, cluster) {
-            this.sim = sim;
-            this.radius = sim.config.agentRadius;
-            this.id = sim.agentCounter;
-            sim.agentCounter++;
-            this.speed = sim.config.agentSpeed;
-            this.states = [];
-            let index;
-            if (cluster === undefined) {
-                index = Math.floor(Math.random() * sim.clusters.length);
-                cluster = sim.clusters[index];
+    // trailingComma ends each line with a comma, as the browser's results
+    // download always has
+    function resultsToCSV(sim, trailingComma=false) {
+        let text = "";
+        for (let result of sim.results) {
+            text += result.join(",") + (trailingComma ? ",\n" : "\n");
+        }
+        return text;
+    }
+
+    EpiAgents.resultsToCSV = resultsToCSV;
+
+    function agentsToCSV(sim) {
+        const names = Object.keys(sim.groupInfections);
+        let text = ["agent", "iteration", "state", "exit"].concat(names).
+            join(",") + "\n";
+        for (let agent of sim.agents) {
+            const attributes = names.map(
+                name => "," + ifElse(agent.attributes[name], "")).join("");
+            for (let state of agent.states) {
+                text += agent.id + "," + state[0] + "," + state[1] + "," +
+                    ifElse(state[2], "") + attributes + "\n";
             }
-            this.cluster = cluster;
-            this.x = Math.random() * (this.cluster.right - this.cluster.left) +
-                this.cluster.left;
-            this.y = Math.random() * (this.cluster.bottom - this.cluster.top) +
-                this.cluster.top;
-            this.correctPosition();
-            this.movementRandomness = gaussian(
-                sim.config.movementRandomnessMean,
-                sim.config.movementRandomnessStdev);
-            this.setDirection();
         }
+        return text;
+    }
 
-        getStateKey() {
-            return this.states[this.states.length - 1][1];
+    EpiAgents.agentsToCSV = agentsToCSV;
+
+    function agentsToObjects(sim) {
+        let agents = [];
+        for (let agent of sim.agents) {
+            agents.push({
+                id: agent.id,
+                cluster: agent.cluster.name,
+                states: agent.states,
+                attributes: agent.attributes,
+                migrations: agent.migrations.map(
+                    m => [m.departure, m.arrival, m.from.name, m.to.name])
+            });
         }
+        return agents;
+    }
 
-        getState() {
-            return this.cluster.states[this.getStateKey()];
+    EpiAgents.agentsToObjects = agentsToObjects;
+
+    function transmissionsToCSV(sim) {
+        let text = "iteration,infector,infectee,x,y,cluster,infector_state," +
+            "layer\n";
+        for (const t of sim.transmissions) {
+            text += [t.iteration, t.infector, t.infectee, round(t.x, 2),
+                     round(t.y, 2), t.cluster, t.infectorState,
+                     t.layer].join(",") + "\n";
         }
+        return text;
+    }
 
-        setDirection() {
-            const index = Math.floor(Math.random() * 8.0);
-            this.dx = DIRECTION[index][0] * this.speed;
-            this.dy = DIRECTION[index][1] * this.speed;
+    EpiAgents.transmissionsToCSV = transmissionsToCSV;
+
+    /* Returns the number of agents each agent infected, for every agent that
+       was infected at the start or during the simulation, and the
+       distribution of those numbers: distribution[k] is the number of
+       agents that infected k others.
+     */
+    function secondaryCases(sim) {
+        let perAgent = new Map();
+        for (const agent of sim.agents) {
+            if (agent.states[0][0] === "S" &&
+                agent.cluster.states[agent.states[0][1]].infected)
+                perAgent.set(agent.id, 0);
+        }
+        for (const t of sim.transmissions) {
+            if (!perAgent.has(t.infectee))
+                perAgent.set(t.infectee, 0);
+        }
+        for (const t of sim.transmissions) {
+            perAgent.set(t.infector, (perAgent.get(t.infector) || 0) + 1);
         }
+        let distribution = [];
+        for (const n of perAgent.values()) {
+            while (distribution.length <= n)
+                distribution.push(0);
+            ++distribution[n];
+        }
+        return {
+            perAgent: Array.from(perAgent.entries()),
+            distribution: distribution
+        };
+    }
 
-        getInfectiousness() {
-            const state = this.getState();
-            return this.getState().infectiousness;
+    EpiAgents.secondaryCases = secondaryCases;
+
+    // Iterations between the infection of an infector and each infection it
+    // caused. Infectors infected at the start have no known infection time
+    // and are left out.
+    function generationIntervals(sim) {
+        let infected = new Map();
+        let intervals = [];
+        for (const t of sim.transmissions) {
+            if (infected.has(t.infector))
+                intervals.push(t.iteration - infected.get(t.infector));
+            infected.set(t.infectee, t.iteration);
         }
+        return intervals;
+    }
 
-        infectAgent(agent) {
-            let this_infectiousness = this.getInfectiousness();
-            let agent_infectiousness = agent.getInfectiousness();
-            if (this.getStateKey() === "SUSCEPTIBLE" && agent_infectiousness > 0) {
-                makeInfection(agent, this, agent_infectiousness);
-            } else if (agent.getStateKey() === "SUSCEPTIBLE" &&
-                       this_infectiousness > 0) {
-                makeInfection(this, agent, this_infectiousness);
-            }
+    EpiAgents.generationIntervals = generationIntervals;
+
+    /* Returns the transmission tree as a forest of nodes
+           {id, iteration, cluster, infectorState, children}
+       whose roots are agents infected without a recorded infector, e.g. at
+       the start of the simulation. An agent infected more than once appears
+       once per infection.
+     */
+    function transmissionTree(sim) {
+        let children = new Map();
+        let infectees = new Set();
+        for (const t of sim.transmissions) {
+            if (!children.has(t.infector))
+                children.set(t.infector, []);
+            children.get(t.infector).push(t);
+            infectees.add(t.infectee);
+        }
+        function node(id, t) {
+            let n = {
+                id: id,
+                iteration: t ? t.iteration : "S",
+                cluster: t ? t.cluster : undefined,
+                infectorState: t ? t.infectorState : undefined,
+                children: []
+            };
+            let kids = children.get(id) || [];
+            // An agent infected more than once has all the infections it
+            // caused under its first appearance.
+            children.delete(id);
+            for (const k of kids)
+                n.children.push(node(k.infectee, k));
+            return n;
+        }
+        let roots = [];
+        for (const id of Array.from(children.keys())) {
+            if (!infectees.has(id) && children.has(id))
+                roots.push(node(id));
         }
+        // Agents that reinfected each other in a cycle
+        for (const id of Array.from(children.keys())) {
+            if (children.has(id))
+                roots.push(node(id));
+        }
+        return roots;
+    }
 
-        detectInfections() {
-            for (let agent of this.sim.agents) {
-                if (agent.id !== this.id) {
-                    if (detectCollision(this.sim, this, agent)) {
-                        if (this.sim.config.elasticCollisions &&
-                            this.id < agent.id) {
-                            const dx = this.dx;
-                            this.dx = agent.dx;
-                            agent.dx = dx;
-                            const dy = this.dy;
-                            this.dy = agent.dy;
-                            agent.dy = dy;
-                        }
-                        this.infectAgent(agent);
-                    }
+    EpiAgents.transmissionTree = transmissionTree;
+
+    function transmissionsToObject(sim) {
+        const intervals = generationIntervals(sim);
+        return {
+            transmissions: sim.transmissions,
+            secondaryCases: secondaryCases(sim),
+            generationIntervals: intervals,
+            meanGenerationInterval: intervals.length ?
+                intervals.reduce((a, b) => a + b, 0) / intervals.length : null,
+            tree: transmissionTree(sim)
+        };
+    }
+
+    EpiAgents.transmissionsToObject = transmissionsToObject;
+
+    /*
+      Agent attributes such as age, sex or risk group. config.attributes (or
+      attributes on a cluster, which replace those of the same name) gives
+      the distribution of each attribute, from which every agent's value is
+      drawn when it is created, e.g.
+          attributes: {
+              age: {
+                  values: [0, 20, 40, 60, 80],
+                  weights: [24, 28, 25, 16, 7],
+                  multipliers: {
+                      60: {nextStateProb: {INFECTED_ICU: {DEAD: 2}}},
+                      80: {susceptibility: 1.5,
+                           nextStateProb: {INFECTED_ICU: {DEAD: 4}}}
+                  }
+              },
+              comorbidity: {
+                  prevalence: 0.2,
+                  multipliers: {
+                      true: {nextStateProb: {
+                          INFECTED_SYMPTOMATIC: {INFECTED_HOSPITAL: 2}}}
+                  }
+              }
+          }
+      weights are relative and default to equal; prevalence is short for
+      values [true, false] with weights [prevalence, 1 - prevalence].
+
+      multipliers, keyed by value, scale the risk of infection of agents
+      with that value (susceptibility), the risk they infect others
+      (infectiousness), and their nextStateProb and nextStateWeights entries.
+      Multipliers of different attributes are multiplied together. With
+      competing transitions, multiplied probabilities out of a state that
+      sum to more than 1 are scaled down to sum to 1.
+
+      Each time results are recorded, the state counts and infections of
+      each group (attribute value) are recorded in sim.groupResults.
+     */
+    function attributeSpecs(sim, cluster) {
+        return {...sim.config.attributes, ...(cluster.attributes || {})};
+    }
+
+    function attributeValues(spec) {
+        return "prevalence" in spec ? [true, false] : spec.values;
+    }
+
+    function sampleAttribute(spec, random) {
+        const values = attributeValues(spec);
+        const weights = "prevalence" in spec ?
+              [spec.prevalence, 1.0 - spec.prevalence] :
+              spec.weights || values.map(v => 1);
+        return values[chooseWeighted(weights, random)];
+    }
+
+    function assignAttributes(sim, agent) {
+        const specs = attributeSpecs(sim, agent.cluster);
+        for (const name in specs)
+            agent.attributes[name] = sampleAttribute(specs[name], sim.random);
+        applyMultipliers(sim, agent);
+    }
+
+    // Sets an agent's multipliers from its attributes, e.g. again after it
+    // ages (see eventDemography)
+    function applyMultipliers(sim, agent) {
+        const specs = attributeSpecs(sim, agent.cluster);
+        agent.susceptibilityMultiplier = 1.0;
+        agent.infectiousnessMultiplier = 1.0;
+        agent.transitionMultipliers = {};
+        for (const name in specs) {
+            const value = agent.attributes[name];
+            const multipliers = (specs[name].multipliers || {})[value];
+            if (multipliers === undefined)
+                continue;
+            agent.susceptibilityMultiplier *=
+                ifElse(multipliers.susceptibility, 1.0);
+            agent.infectiousnessMultiplier *=
+                ifElse(multipliers.infectiousness, 1.0);
+            for (const from in multipliers.nextStateProb) {
+                let factors = agent.transitionMultipliers[from] || {};
+                for (const to in multipliers.nextStateProb[from]) {
+                    factors[to] = ifElse(factors[to], 1.0) *
+                        multipliers.nextStateProb[from][to];
                 }
+                agent.transitionMultipliers[from] = factors;
             }
         }
+    }
 
-        correctPosition() {
-            if (this.x - this.radius < this.cluster.left)
-                this.x = this.cluster.left + this.radius;
-            else if (this.x + this.radius > this.cluster.right)
-                this.x = this.cluster.right - this.radius;
-            if (this.y - this.radius < this.cluster.top)
-                this.y = this.cluster.top + this.radius;
-            else if (this.y + this.radius > this.cluster.bottom)
-                this.y = this.cluster.bottom - this.radius;
-        }
+    // nextStateProb or nextStateWeights scaled by an agent's multipliers
+    function multiplyTransitions(transitions, factors) {
+        let result = {};
+        for (const to in transitions)
+            result[to] = transitions[to] * ifElse(factors[to], 1.0);
+        return result;
+    }
 
-        move() {
-            if (this.getStateKey() === "DEAD") {
-                this.x = this.y = -1000;
-                return;
-            }
-            if (Math.random() < this.movement_randomness) {
-                this.setDirection();
+    // Every value of every attribute in any cluster, as [name, value]
+    function attributeGroups(sim) {
+        let groups = [];
+        for (const cluster of sim.clusters) {
+            const specs = attributeSpecs(sim, cluster);
+            for (const name in specs) {
+                for (const value of attributeValues(specs[name])) {
+                    if (!groups.some(g => g[0] === name && g[1] === value))
+                        groups.push([name, value]);
+                }
             }
+        }
+        return groups;
+    }
 
-            if (this.x + this.dx >= this.cluster.right - this.radius ||
-                this.x + this.dx <= this.cluster.left + this.radius) {
-                this.dx = -this.dx;
-            }
-            if (this.y + this.dy >= this.cluster.bottom - this.radius ||
-                this.y + this.dy <= this.cluster.top + this.radius) {
-                this.dy = -this.dy;
+    EpiAgents.attributeGroups = attributeGroups;
+
+    function groupStates(sim) {
+        let states = [];
+        for (const cluster of sim.clusters) {
+            for (const state in cluster.states) {
+                if (!states.includes(state))
+                    states.push(state);
             }
+        }
+        return states;
+    }
 
-            this.detectInfections();
+    function recordGroupResultHeader(sim) {
+        sim.groupResults.push(["#", "attribute", "group"].concat(
+            groupStates(sim), ["total_simulation_infections"]));
+    }
 
-            this.x += this.dx;
-            this.y += this.dy;
-            this.correctPosition();
+    function recordGroupResult(sim, label) {
+        const states = groupStates(sim);
+        for (const [name, value] of sim.groups) {
+            let counts = states.map(s => 0);
+            for (const agent of sim.agents) {
+                if (agent.attributes[name] === value)
+                    ++counts[states.indexOf(agent.getStateKey())];
+            }
+            sim.groupResults.push([label, name, value].concat(
+                counts, [sim.groupInfections[name][value] || 0]));
         }
-    };
+    }
 
-    class Simulation {
+    function groupResultsToCSV(sim) {
+        return resultsToCSV({results: sim.groupResults});
+    }
 
-        processOptions(options) {
+    EpiAgents.groupResultsToCSV = groupResultsToCSV;
+
+    /*
+      Assortative mixing between attribute groups. config.mixing is a list
+      of mixing matrices, each like
+          {
+              attribute: "age",
+              groups: [0, 20, 40, 60, 80],
+              matrix: [[7.9, 2.6, 2.9, 1.3, 0.5],
+                       [2.3, 6.4, 3.5, 1.4, 0.6],
+                       ...]
+          }
+      where matrix[i][j] is the rate of contact of agents in groups[i] with
+      agents in groups[j]. Contact survey matrices such as POLYMOD's, with a
+      row for each age band of the participants and a column for each age
+      band of their contacts, can be used as they are. groups default to the
+      values of the attribute (see assignAttributes). Unless normalise is
+      false, the matrix is divided by its largest entry.
+
+      The risk of transmission when agents collide is multiplied by the
+      entry for the group of the agent that may be infected (row) and the
+      group of the infectious agent (column). Agents whose value of the
+      attribute isn't in groups are unaffected. For each matrix,
+      sim.mixing[m].collisions[i][j] counts the collisions of agents in
+      groups[i] with agents in groups[j], and effective[i][j] the same
+      collisions weighted by their entries, i.e. the effective contacts.
+     */
+    function setupMixing(sim) {
+        return sim.config.mixing.map(function(spec) {
+            // checkMixing reports specs that aren't objects
+            if (typeof spec !== "object" || spec === null)
+                spec = {};
+            const groups = Array.isArray(spec.groups) ? spec.groups :
+                  sim.groups.filter(g => g[0] === spec.attribute).map(g => g[1]);
+            const matrix = Array.isArray(spec.matrix) ? spec.matrix : [];
+            const zeros = () => groups.map(g => groups.map(h => 0));
+            let factors = zeros();
+            let largest = 0.0;
+            groups.forEach(function(g, i) {
+                groups.forEach(function(h, j) {
+                    factors[i][j] = Number((matrix[i] || [])[j]) || 0.0;
+                    largest = Math.max(largest, factors[i][j]);
+                });
+            });
+            if (spec.normalise !== false && largest > 0.0)
+                factors = factors.map(row => row.map(f => f / largest));
+            return {
+                attribute: spec.attribute,
+                groups: groups,
+                factors: factors,
+                collisions: zeros(),
+                effective: zeros()
+            };
+        });
+    }
+
+    function mixingGroups(mixing, agent_a, agent_b) {
+        return [mixing.groups.indexOf(agent_a.attributes[mixing.attribute]),
+                mixing.groups.indexOf(agent_b.attributes[mixing.attribute])];
+    }
+
+    // The factor by which mixing scales the risk that from_agent infects
+    // to_agent
+    function mixingFactor(sim, to_agent, from_agent) {
+        let factor = 1.0;
+        for (const mixing of sim.mixing) {
+            const [i, j] = mixingGroups(mixing, to_agent, from_agent);
+            if (i > -1 && j > -1)
+                factor *= mixing.factors[i][j];
+        }
+        return factor;
+    }
+
+    EpiAgents.mixingFactor = mixingFactor;
+
+    function recordMixingContact(sim, agent_a, agent_b) {
+        for (let mixing of sim.mixing) {
+            const [i, j] = mixingGroups(mixing, agent_a, agent_b);
+            if (i > -1 && j > -1) {
+                ++mixing.collisions[i][j];
+                ++mixing.collisions[j][i];
+                mixing.effective[i][j] += mixing.factors[i][j];
+                mixing.effective[j][i] += mixing.factors[j][i];
+            }
+        }
+    }
+
+    function contactsToCSV(sim) {
+        let text = "attribute,group,contact_group,collisions," +
+            "effective_contacts\n";
+        for (const mixing of sim.mixing) {
+            mixing.groups.forEach(function(g, i) {
+                mixing.groups.forEach(function(h, j) {
+                    text += [mixing.attribute, g, h, mixing.collisions[i][j],
+                             round(mixing.effective[i][j], 6)].join(",") + "\n";
+                });
+            });
+        }
+        return text;
+    }
+
+    EpiAgents.contactsToCSV = contactsToCSV;
+
+    /*
+      Contact layers: fixed groups of agents, such as households, schools
+      and workplaces, within which infection spreads in addition to
+      collisions. config.layers is a list of layers, each like
+          {
+              name: "school",
+              size: {values: [20, 30, 40], weights: [1, 2, 1]},
+              attributes: {age: [0]},
+              transmission: 0.02
+          }
+      When the simulation is initialized the agents of each cluster whose
+      attributes match (see matchesAttributes; default all agents) are
+      divided at random into groups. size is the number of agents in each
+      group, or a distribution of sizes given as values and weights.
+
+      On every iteration, while the layer is open (open is true by default),
+      each infectious agent infects each susceptible agent of its group
+      with probability transmission, scaled by the agents' attribute
+      multipliers. Agents that are dead or travelling take no part. A layer
+      can be closed by an intervention, e.g.
+          actions: [{name: "layer", layer: "school", key: "open",
+                     value: false}]
+      The name_infections and total_name_infections counters of each layer
+      count its infections per iteration and over the simulation, and each
+      infection's layer is recorded with it in sim.transmissions.
+     */
+    function layerSize(layer, random) {
+        const size = typeof layer.size === "object" ?
+              sampleAttribute(layer.size, random) : layer.size;
+        return Math.max(1, Math.round(Number(size)));
+    }
+
+    // Divides the agents into the groups of each layer
+    function buildLayers(sim) {
+        for (let agent of sim.agents)
+            agent.layerGroups = {};
+        return sim.config.layers.map(function(layer) {
+            let groups = [];
+            for (const cluster of sim.clusters) {
+                let members = sim.agents.filter(
+                    agent => agent.cluster === cluster &&
+                        matchesAttributes(agent, layer.attributes || {}));
+                shuffleArray(members, sim.random);
+                while (members.length > 0) {
+                    const group = members.splice(0, layerSize(layer,
+                                                              sim.random));
+                    for (let agent of group)
+                        agent.layerGroups[layer.name] = groups.length;
+                    groups.push(group);
+                }
+            }
+            return {name: layer.name, groups: groups};
+        });
+    }
+
+    function layerCounter(layer) {
+        return layer.name + "_infections";
+    }
+
+    const eventLayerTransmission = oncePerIteration(function(sim) {
+        sim.config.layers.forEach(function(layer, l) {
+            if (layer.open === false || !(layer.transmission > 0))
+                return;
+            for (const group of sim.layers[l].groups) {
+                const present = group.filter(
+                    agent => !agent.getState().dead && !agent.travel);
+                const infectious = present.filter(
+                    agent => agent.getInfectiousness() > 0);
+                if (infectious.length === 0)
+                    continue;
+                for (let agent of present) {
+                    for (let infector of infectious) {
+                        const susceptibility = agent.susceptibilityTo(infector);
+                        if (susceptibility > 0.0) {
+                            makeInfection(infector, agent, layer.transmission *
+                                          susceptibility, layer.name);
+                        }
+                    }
+                }
+            }
+        });
+    });
+
+    EpiAgents.eventLayerTransmission = eventLayerTransmission;
+
+    /*
+      Sexual partnerships, for modelling HIV and other STIs. config.partnerships
+      is null (no partnerships) or like
+          {
+              attributes: {age: {min: 15}},
+              formationRate: 0.02,
+              meanDuration: 100,
+              maxPartners: 2,
+              transmission: 0.5,
+              sexAttribute: "sex",
+              ageAttribute: "age",
+              ageGap: {m: {mean: -4, stdev: 4}, f: {mean: 4, stdev: 4}}
+          }
+      with any setting left out taking its value from PartnershipDefaults.
+
+      On each iteration, every living agent whose attributes match and who
+      has fewer than maxPartners partners looks for a new partner with
+      probability formationRate. It considers up to candidates agents of its
+      own cluster chosen at random who are also looking for partners, of a
+      different value of sexAttribute if one is given, and chooses the one
+      whose ageAttribute is closest to its own plus an age gap drawn from a
+      normal distribution. ageGap is {mean, stdev}, or one for each value of
+      sexAttribute. Without an ageAttribute the first candidate is chosen.
+      Each partnership ends with probability 1 / meanDuration per iteration,
+      and when a partner dies.
+
+      On each iteration of a partnership, an infectious partner infects a
+      susceptible one with probability transmission times its state's
+      infectiousness. The partnerships counter is the number of
+      partnerships, concurrent the number of agents with more than one
+      partner, and total_partnerships the number formed. Infections are
+      counted in partnership_infections and total_partnership_infections
+      and every partnership is recorded in sim.partnerships, with its agents
+      and their agentIds. If dead agents are purged (see eventDemography),
+      ended partnerships keep only the agentIds.
+     */
+    let PartnershipDefaults = {
+        attributes: {},
+        formationRate: 0.01,
+        meanDuration: 50,
+        maxPartners: 1,
+        transmission: 1.0,
+        candidates: 10,
+        sexAttribute: null,
+        ageAttribute: null,
+        ageGap: {mean: 0, stdev: 5}
+    };
+
+    EpiAgents.PartnershipDefaults = PartnershipDefaults;
+
+    function canPartner(sim, agent) {
+        const config = sim.config.partnerships;
+        return !agent.getState().dead &&
+            agent.partners.length < config.maxPartners &&
+            matchesAttributes(agent, config.attributes);
+    }
+
+    function preferredPartnerAge(sim, agent) {
+        const config = sim.config.partnerships;
+        let gap = config.ageGap;
+        if (!("mean" in gap))
+            gap = gap[agent.attributes[config.sexAttribute]] ||
+                PartnershipDefaults.ageGap;
+        return agent.attributes[config.ageAttribute] + gap.mean +
+            gap.stdev * normal(sim.random);
+    }
+
+    function choosePartner(sim, agent, available) {
+        const config = sim.config.partnerships;
+        const sex = config.sexAttribute;
+        let candidates = [];
+        for (let i = 0; i < config.candidates && available.length > 1; i++) {
+            const other = available[Math.floor(sim.random() * available.length)];
+            if (other !== agent && other.cluster === agent.cluster &&
+                other.partners.length < config.maxPartners &&
+                !agent.partners.includes(other) &&
+                (!sex || other.attributes[sex] !== agent.attributes[sex]))
+                candidates.push(other);
+        }
+        if (candidates.length === 0 || !config.ageAttribute)
+            return candidates[0];
+        const age = preferredPartnerAge(sim, agent);
+        let best = candidates[0];
+        for (const other of candidates) {
+            if (Math.abs(other.attributes[config.ageAttribute] - age) <
+                Math.abs(best.attributes[config.ageAttribute] - age))
+                best = other;
+        }
+        return best;
+    }
+
+    function formPartnership(sim, agent_a, agent_b) {
+        const partnership = {
+            id: sim.partnerships.length,
+            agents: [agent_a, agent_b],
+            agentIds: [agent_a.id, agent_b.id],
+            start: sim.iteration,
+            end: undefined
+        };
+        agent_a.partners.push(agent_b);
+        agent_b.partners.push(agent_a);
+        sim.partnerships.push(partnership);
+        sim.activePartnerships.push(partnership);
+        ++sim.counters.total_partnerships.num;
+    }
+
+    function endPartnership(sim, partnership) {
+        const [agent_a, agent_b] = partnership.agents;
+        agent_a.partners.splice(agent_a.partners.indexOf(agent_b), 1);
+        agent_b.partners.splice(agent_b.partners.indexOf(agent_a), 1);
+        partnership.end = sim.iteration;
+        // Let purged agents be freed: the record keeps only their ids
+        if (sim.config.demography && sim.config.demography.purge)
+            partnership.agents = undefined;
+    }
+
+    const eventPartnerships = oncePerIteration(function(sim) {
+        const config = sim.config.partnerships;
+        if (!config)
+            return;
+        sim.activePartnerships = sim.activePartnerships.filter(
+            function(partnership) {
+                if (partnership.agents.some(a => a.getState().dead) ||
+                    sim.random() < 1.0 / config.meanDuration) {
+                    endPartnership(sim, partnership);
+                    return false;
+                }
+                return true;
+            });
+
+        let available = sim.agents.filter(a => canPartner(sim, a));
+        shuffleArray(available, sim.random);
+        for (let agent of available) {
+            if (agent.partners.length >= config.maxPartners ||
+                sim.random() >= config.formationRate)
+                continue;
+            const partner = choosePartner(sim, agent, available);
+            if (partner !== undefined)
+                formPartnership(sim, agent, partner);
+        }
+
+        for (const partnership of sim.activePartnerships) {
+            const [agent_a, agent_b] = partnership.agents;
+            const risk_a = agent_b.getInfectiousness() > 0 ?
+                  agent_b.getInfectiousness() * agent_a.susceptibilityTo(agent_b) :
+                  0.0;
+            const risk_b = agent_a.getInfectiousness() > 0 ?
+                  agent_a.getInfectiousness() * agent_b.susceptibilityTo(agent_a) :
+                  0.0;
+            if (risk_a > 0.0) {
+                makeInfection(agent_b, agent_a, config.transmission * risk_a,
+                              "partnership");
+            } else if (risk_b > 0.0) {
+                makeInfection(agent_a, agent_b, config.transmission * risk_b,
+                              "partnership");
+            }
+        }
+    });
+
+    EpiAgents.eventPartnerships = eventPartnerships;
+
+    function partnershipsToCSV(sim) {
+        let text = "id,agent_a,agent_b,start,end\n";
+        for (const p of sim.partnerships) {
+            text += [p.id, p.agentIds[0], p.agentIds[1], p.start,
+                     ifElse(p.end, "")].join(",") + "\n";
+        }
+        return text;
+    }
+
+    EpiAgents.partnershipsToCSV = partnershipsToCSV;
+
+    /*
+      Multiple strains. The states of a cluster describe one pathogen. To run
+      several strains at once config.strains lists them, e.g.
+          strains: [
+              {name: "wild"},
+              {
+                  name: "delta",
+                  color: "rgb(150, 0, 150)",
+                  infectiousness: 1.6,
+                  states: {
+                      INFECTED_ICU: {nextStateProb: {DEAD: 0.6, RECOVERED: 0.1}}
+                  },
+                  crossImmunity: {wild: 0.7},
+                  introduce: {iteration: 50, count: 5}
+              }
+          ]
+      The first strain is the one the cluster's states describe. Every other
+      strain gets a copy of each infected state, named e.g.
+      INFECTED_SYMPTOMATIC_delta, whose transitions to infected states lead
+      to the strain's own copies. infectiousness multiplies the infectiousness
+      of the copies, and states changes any of their properties (naming
+      destinations by the original states). The strain property of each
+      infected state says which strain it belongs to.
+
+      Infected agents infect others with their own strain, i.e. move them to
+      its infectionEntry state. Agents in susceptible states can be infected
+      by any strain. Agents that have been infected before and are now in a
+      state that isn't infected, dead, vaccinated or quarantined, e.g.
+      recovered, can be infected by a different strain, with their risk
+      reduced by their past infections: crossImmunity[past strain] of the new
+      strain is the protection, 1 (complete) by default. Every infection is
+      recorded as [iteration, strain] in agent.infections.
+
+      introduce moves count agents in susceptible states (of the cluster
+      named cluster, if given) to the strain's infectionEntry state, or the
+      copy of state, on iteration. The name_infected counter of each strain
+      is the number of agents infected with it, name_infections its new
+      infections on each iteration and total_name_infections its infections
+      over the simulation.
+     */
+    function strainStateKey(key, strain) {
+        return key + "_" + strain;
+    }
+
+    EpiAgents.strainStateKey = strainStateKey;
+
+    // The first state of a strain with a role, e.g. "infectionEntry"
+    function findStrainState(states, role, strain) {
+        for (const state in states) {
+            if (states[state][role] && states[state].strain === strain)
+                return state;
+        }
+        return undefined;
+    }
+
+    EpiAgents.findStrainState = findStrainState;
+
+    // Adds the states of every strain but the first to a cluster
+    function addStrainStates(cluster, strains) {
+        if (strains.length === 0)
+            return;
+        let states = {...cluster.states};
+        const base = Object.keys(states).filter(
+            key => states[key].infected && (states[key].strain === undefined ||
+                                            states[key].strain ===
+                                            strains[0].name));
+        for (const key of base)
+            states[key] = {...states[key], strain: strains[0].name};
+        function rename(transitions, strain) {
+            let result = {};
+            for (const to in transitions) {
+                result[base.includes(to) ? strainStateKey(to, strain) : to] =
+                    transitions[to];
+            }
+            return result;
+        }
+        for (const strain of strains.slice(1)) {
+            for (const key of base) {
+                const copyKey = strainStateKey(key, strain.name);
+                if (copyKey in states)
+                    continue;
+                const changes = deepCopy((strain.states || {})[key] || {});
+                let copy = {
+                    ...deepCopy(states[key]),
+                    description: states[key].description + " (" +
+                        strain.name + ")",
+                    color: strain.color || states[key].color,
+                    infectiousness: states[key].infectiousness *
+                        ifElse(strain.infectiousness, 1.0),
+                    initialRatio: 0,
+                    ...changes,
+                    strain: strain.name
+                };
+                copy.nextStateProb = rename(copy.nextStateProb || {},
+                                            strain.name);
+                if (copy.nextStateWeights)
+                    copy.nextStateWeights = rename(copy.nextStateWeights,
+                                                   strain.name);
+                states[copyKey] = copy;
+            }
+        }
+        cluster.states = states;
+    }
+
+    function strainCounter(strain, suffix) {
+        return strain.name + "_" + suffix;
+    }
+
+    const eventIntroduceStrains = oncePerIteration(function(sim) {
+        for (const strain of sim.config.strains) {
+            const introduce = strain.introduce;
+            if (!introduce || sim.iteration !== introduce.iteration)
+                continue;
+            let agents = sim.agents.filter(
+                agent => agent.getState().susceptible && !agent.travel &&
+                    (introduce.cluster === undefined ||
+                     agent.cluster.name === introduce.cluster));
+            shuffleArray(agents, sim.random);
+            for (let agent of agents.slice(0, ifElse(introduce.count, 1))) {
+                const states = agent.cluster.states;
+                let state = findStrainState(states, "infectionEntry",
+                                            strain.name);
+                if (introduce.state !== undefined) {
+                    state = strain === sim.config.strains[0] ?
+                        introduce.state :
+                        strainStateKey(introduce.state, strain.name);
+                }
+                agent.setState(sim.iteration, state);
+            }
+        }
+    });
+
+    EpiAgents.eventIntroduceStrains = eventIntroduceStrains;
+
+    /*
+      Births, deaths from other causes and ageing, for models that run over
+      many years. config.demography is e.g.
+          demography: {
+              birthRate: 0.00005,
+              deathRate: {0: 0.00001, 60: 0.0001, 80: 0.0005},
+              ageAttribute: "age",
+              ageingInterval: 365,
+              purge: true
+          }
+      On each iteration each cluster has birthRate x its living agents births
+      (rounded up or down at random), or all the births are in the cluster
+      named birthCluster. Newborns start in birthState, by default the
+      cluster's susceptible state, with age 0 and their other attributes
+      chosen as usual, and join a random group of each contact layer whose
+      attributes they match.
+
+      deathRate is the probability per iteration that a living agent dies of
+      causes other than the disease, i.e. moves to deathState (by default
+      the dead state). It is either a number or, if there is an ageAttribute,
+      the rates of age bands keyed by their lowest age. Every ageingInterval
+      iterations living agents get a year older and their attribute
+      multipliers change accordingly. The values of the age attribute must
+      therefore be consecutive whole years, e.g. 0 to 100, starting at 0 if
+      there are births; agents of the oldest age stay that age. Age bands
+      such as [0, 20, 40] can't be used as the age attribute, but deathRate
+      and multipliers can give every year of a band the same value.
+
+      The births and natural_deaths counters are the births and deaths from
+      other causes on each iteration, and total_births and
+      total_natural_deaths those over the simulation. If purge is true,
+      agents that are dead at the start of an iteration are removed from
+      sim.agents so that memory doesn't grow without bound. They then no
+      longer appear in the counters of dead states or the agents output,
+      but total_purged counts them.
+     */
+    let DemographyDefaults = {
+        birthRate: 0.0,
+        birthState: null,
+        birthCluster: null,
+        deathRate: 0.0,
+        deathState: null,
+        ageAttribute: null,
+        ageingInterval: 365,
+        purge: false
+    };
+
+    EpiAgents.DemographyDefaults = DemographyDefaults;
+
+    const DEMOGRAPHY_COUNTERS = ["births", "natural_deaths"];
+
+    function countDemography(sim, key) {
+        let counts = sim.demographyCounts[sim.iteration];
+        if (counts === undefined) {
+            counts = {births: 0, natural_deaths: 0};
+            sim.demographyCounts[sim.iteration] = counts;
+        }
+        ++counts[key];
+        ++sim.counters["total_" + key].num;
+    }
+
+    function naturalDeathRate(sim, agent) {
+        const config = sim.config.demography;
+        if (typeof config.deathRate !== "object")
+            return config.deathRate;
+        const age = agent.attributes[config.ageAttribute];
+        let rate = 0.0;
+        let band = -Infinity;
+        for (const lowest in config.deathRate) {
+            if (Number(lowest) <= age && Number(lowest) > band) {
+                band = Number(lowest);
+                rate = config.deathRate[lowest];
+            }
+        }
+        return rate;
+    }
+
+    function joinLayers(sim, agent) {
+        sim.config.layers.forEach(function(layer, l) {
+            if (!matchesAttributes(agent, layer.attributes || {}))
+                return;
+            const groups = sim.layers[l].groups;
+            const candidates = [];
+            groups.forEach(function(group, g) {
+                if (group.length > 0 && group[0].cluster === agent.cluster)
+                    candidates.push(g);
+            });
+            if (candidates.length === 0)
+                return;
+            const g = candidates[Math.floor(sim.random() * candidates.length)];
+            groups[g].push(agent);
+            agent.layerGroups[layer.name] = g;
+        });
+    }
+
+    function giveBirth(sim, cluster) {
+        const config = sim.config.demography;
+        let agent = new Agent(sim, cluster);
+        if (config.ageAttribute) {
+            agent.attributes[config.ageAttribute] = 0;
+            applyMultipliers(sim, agent);
+        }
+        agent.setState(sim.iteration, config.birthState ||
+                       findStateWithRole(cluster.states, "susceptible"));
+        joinLayers(sim, agent);
+        sim.agents.push(agent);
+        countDemography(sim, "births");
+    }
+
+    function purgeDeadAgents(sim) {
+        const dead = sim.agents.filter(agent => agent.getState().dead);
+        if (dead.length === 0)
+            return;
+        sim.agents = sim.agents.filter(agent => !agent.getState().dead);
+        for (let layer of sim.layers) {
+            layer.groups = layer.groups.map(
+                group => group.filter(agent => !agent.getState().dead));
+        }
+        sim.counters.total_purged.num += dead.length;
+    }
+
+    const eventDemography = oncePerIteration(function(sim) {
+        const config = sim.config.demography;
+        if (!config)
+            return;
+        if (config.purge)
+            purgeDeadAgents(sim);
+        const living = sim.agents.filter(agent => !agent.getState().dead);
+
+        if (config.deathRate) {
+            for (let agent of living) {
+                const rate = naturalDeathRate(sim, agent);
+                if (rate > 0.0 && sim.random() < rate) {
+                    agent.setState(sim.iteration, config.deathState ||
+                                   findStateWithRole(agent.cluster.states,
+                                                     "dead"));
+                    countDemography(sim, "natural_deaths");
+                }
+            }
+        }
+
+        if (config.ageAttribute && sim.iteration > 0 &&
+            sim.iteration % config.ageingInterval === 0) {
+            for (let agent of living) {
+                if (agent.getState().dead)
+                    continue;
+                const spec = attributeSpecs(sim, agent.cluster)[
+                    config.ageAttribute];
+                const age = agent.attributes[config.ageAttribute] + 1;
+                if (!spec || !attributeValues(spec).includes(age))
+                    continue;
+                agent.attributes[config.ageAttribute] = age;
+                applyMultipliers(sim, agent);
+            }
+        }
+
+        if (config.birthRate > 0.0) {
+            const birthCluster = sim.clusters.find(
+                c => c.name === config.birthCluster);
+            const clusters = birthCluster ? [birthCluster] : sim.clusters;
+            for (const c of clusters) {
+                const parents = birthCluster ? living.length :
+                      living.filter(agent => agent.cluster === c).length;
+                const expected = config.birthRate * parents;
+                let births = Math.floor(expected);
+                if (sim.random() < expected - births)
+                    ++births;
+                for (let i = 0; i < births; i++)
+                    giveBirth(sim, c);
+            }
+        }
+    });
+
+    EpiAgents.eventDemography = eventDemography;
+
+    class Agent {
+        constructor(sim, cluster) {
+            this.sim = sim;
+            this.radius = sim.config.agentRadius;
+            this.id = sim.agentCounter;
+            sim.agentCounter++;
+            this.speed = sim.config.agentSpeed;
+            this.states = [];
+            this.travel = undefined;
+            this.lastTravel = undefined;
+            this.migrations = [];
+            // Infections caused since this agent was last infected, and the
+            // iteration it was infected ("S" if at the start)
+            this.infectionsCaused = 0;
+            this.infectedAt = undefined;
+            // Characteristics such as age (see assignAttributes) and the
+            // multipliers they imply
+            this.attributes = {};
+            // The index of the agent's group in each contact layer
+            this.layerGroups = {};
+            // Current sexual partners (see eventPartnerships)
+            this.partners = [];
+            // [iteration, strain] of each infection, if there are strains
+            this.infections = [];
+            this.susceptibilityMultiplier = 1.0;
+            this.infectiousnessMultiplier = 1.0;
+            this.transitionMultipliers = {};
+            // Number of collisions with other agents so far
+            this.contacts = 0;
+            // [iteration, campaign name] of each vaccine dose received
+            this.doses = [];
+            this.vaccineProtected = false;
+            // [iteration, agent] of collisions in the last contactMemory
+            // iterations and [iteration, positive] of each test, used for
+            // testing and contact tracing
+            this.recentContacts = [];
+            this.tests = [];
+            this.awaitingResult = false;
+            // The iteration the last positive result was reported on
+            this.positiveReported = undefined;
+            this.quarantinedFrom = undefined;
+            this.quarantineEnd = undefined;
+            let index;
+            if (cluster === undefined) {
+                index = Math.floor(sim.random() * sim.clusters.length);
+                cluster = sim.clusters[index];
+            }
+            this.cluster = cluster;
+            this.x = sim.random() * (this.cluster.right - this.cluster.left) +
+                this.cluster.left;
+            this.y = sim.random() * (this.cluster.bottom - this.cluster.top) +
+                this.cluster.top;
+            this.correctPosition();
+            this.movementRandomness = gaussian(
+                sim.config.movementRandomnessMean,
+                sim.config.movementRandomnessStdev,
+                sim.random);
+            this.setDirection();
+            assignAttributes(sim, this);
+        }
+
+        getStateKey() {
+            return this.states[this.states.length - 1][1];
+        }
+
+        getState() {
+            return this.cluster.states[this.getStateKey()];
+        }
+
+        // Records that the agent entered a state on an iteration ("S" for the
+        // start of the simulation). If the state has a duration, the
+        // iteration on which the agent will leave it is stored too.
+        setState(iteration, key) {
+            let entry = [iteration, key];
+            const state = this.cluster.states[key];
+            const previous = this.states.length ? this.getState() : undefined;
+            const wasInfected = previous !== undefined && previous.infected;
+            const isInfected = state !== undefined && state.infected;
+            if (isInfected && !wasInfected) {
+                this.infectionsCaused = 0;
+                this.infectedAt = iteration;
+                if (state.strain !== undefined)
+                    this.infections.push([iteration, state.strain]);
+            } else if (wasInfected && !isInfected) {
+                this.sim.completedInfections.push([this.sim.iteration,
+                                                   this.infectionsCaused]);
+            }
+            if (state && state.duration) {
+                const start = typeof iteration === "number" ?
+                      iteration : this.sim.iteration;
+                entry.push(start + sampleDuration(state.duration,
+                                                  this.sim.random));
+            }
+            this.states.push(entry);
+        }
+
+        getExitIteration() {
+            return this.states[this.states.length - 1][2];
+        }
+
+        setDirection() {
+            const index = Math.floor(this.sim.random() * 8.0);
+            this.dx = DIRECTION[index][0] * this.speed;
+            this.dy = DIRECTION[index][1] * this.speed;
+        }
+
+        getInfectiousness() {
+            const state = this.getState();
+            return this.getState().infectiousness;
+        }
+
+        // How susceptible this agent is to infection by infector, from 0 to
+        // 1: 1 in a susceptible state and, with several strains, reduced by
+        // cross-immunity after infection with another strain (see
+        // addStrainStates)
+        susceptibilityTo(infector) {
+            const state = this.getState();
+            if (state.susceptible)
+                return 1.0;
+            const strain = infector.getState().strain;
+            if (strain === undefined || this.infections.length === 0 ||
+                state.infected || state.dead || state.vaccinated ||
+                state.quarantine)
+                return 0.0;
+            const cross = this.sim.config.strains.find(
+                s => s.name === strain).crossImmunity || {};
+            let protection = 0.0;
+            for (const [iteration, past] of this.infections) {
+                if (past === strain)
+                    return 0.0;
+                protection = Math.max(protection, ifElse(cross[past], 1.0));
+            }
+            return 1.0 - protection;
+        }
+
+        infectAgent(agent) {
+            let this_infectiousness = this.getInfectiousness();
+            let agent_infectiousness = agent.getInfectiousness();
+            const this_risk = agent_infectiousness > 0 ?
+                  agent_infectiousness * this.susceptibilityTo(agent) : 0.0;
+            const agent_risk = this_infectiousness > 0 ?
+                  this_infectiousness * agent.susceptibilityTo(this) : 0.0;
+            if (this_risk > 0.0) {
+                makeInfection(agent, this, this_risk *
+                              mixingFactor(this.sim, this, agent));
+            } else if (agent_risk > 0.0) {
+                makeInfection(this, agent, agent_risk *
+                              mixingFactor(this.sim, agent, this));
+            }
+        }
+
+        detectInfections() {
+            const grid = this.sim.grid;
+            const candidates = grid ? grid.neighbours(this) : this.sim.agents;
+            for (let agent of candidates) {
+                if (agent.id !== this.id) {
+                    if (detectCollision(this.sim, this, agent)) {
+                        ++this.contacts;
+                        ++agent.contacts;
+                        if (this.sim.config.testing) {
+                            recordContact(this.sim, this, agent);
+                            recordContact(this.sim, agent, this);
+                        }
+                        if (this.sim.mixing.length > 0)
+                            recordMixingContact(this.sim, this, agent);
+                        if (this.sim.config.elasticCollisions) {
+                            const dx = this.dx;
+                            this.dx = agent.dx;
+                            agent.dx = dx;
+                            const dy = this.dy;
+                            this.dy = agent.dy;
+                            agent.dy = dy;
+                        }
+                        if (this.sim.config.collisionInfection)
+                            this.infectAgent(agent);
+                    }
+                }
+            }
+            if (grid)
+                grid.remove(this);
+        }
+
+        correctPosition() {
+            if (this.x - this.radius < this.cluster.left)
+                this.x = this.cluster.left + this.radius;
+            else if (this.x + this.radius > this.cluster.right)
+                this.x = this.cluster.right - this.radius;
+            if (this.y - this.radius < this.cluster.top)
+                this.y = this.cluster.top + this.radius;
+            else if (this.y + this.radius > this.cluster.bottom)
+                this.y = this.cluster.bottom - this.radius;
+        }
+
+        move() {
+            if (this.getState().dead) {
+                this.x = this.y = -1000;
+                return;
+            }
+            if (this.sim.random() < this.movement_randomness) {
+                this.setDirection();
+            }
+
+            if (this.x + this.dx >= this.cluster.right - this.radius ||
+                this.x + this.dx <= this.cluster.left + this.radius) {
+                this.dx = -this.dx;
+            }
+            if (this.y + this.dy >= this.cluster.bottom - this.radius ||
+                this.y + this.dy <= this.cluster.top + this.radius) {
+                this.dy = -this.dy;
+            }
+
+            this.detectInfections();
+
+            this.x += this.dx;
+            this.y += this.dy;
+            this.correctPosition();
+        }
+    };
+
+    /*
+      Configuration validation. EpiAgents.create() checks the options with
+      validateOptions() and the resulting simulation with configProblems(),
+      and initialize() checks the simulation again, as it may have been
+      changed since. The keys known in options, clusters and states are
+      listed below; add to them when adding options.
+     */
+    const OPTION_KEYS = [
+        "name", "description", "width", "height", "maxArea", "interval",
+        "agentRadius", "movementRandomnessMean", "movementRandomnessStdev",
+        "elasticCollisions", "agentSpeed", "agents_speed", "maxIterations",
+        "extraBeforeEvents", "extraDuringEvents", "extraAfterEvents",
+        "interventions", "vaccination", "testing", "rtWindow",
+        "generationInterval", "transitionMode", "migrationRates",
+        "travelTimes", "seed", "clusters", "numAgents", "simulationStates",
+        "beforeEvents", "duringEvents", "afterEvents", "agentCounter",
+        "eventPhase", "attributes", "mixing", "layers", "partnerships",
+        "collisionInfection", "strains", "demography"
+    ];
+
+    const CLUSTER_KEYS = [
+        "name", "left", "top", "right", "bottom", "border", "borderColor",
+        "numAgents", "states", "beforeEvents", "duringEvents", "afterEvents",
+        "attributes"
+    ];
+
+    const STATE_KEYS = [
+        "description", "color", "susceptible", "infectionEntry", "infected",
+        "infectiousness", "dead", "immobile", "care", "vaccinated",
+        "isolated", "quarantine", "print", "initialRatio", "nextStateProb",
+        "duration", "nextStateWeights", "initial_proportion", "strain"
+    ];
+
+    const INTERVENTION_KEYS = [
+        "name", "start", "end", "duration", "repeat", "actions"
+    ];
+
+    const VACCINATION_KEYS = [
+        "name", "start", "end", "dosesPerIteration", "priority", "clusters",
+        "attributes", "states", "priorInfection", "doses", "interval",
+        "efficacy", "ringRadius", "ringStates", "vaccinatedState",
+        "ageAttribute"
+    ];
+
+    // Collects configuration problems as {path, message}.
+    class ConfigChecker {
+        constructor() {
+            this.problems = [];
+        }
+
+        add(path, message) {
+            this.problems.push({path: path, message: message});
+        }
+
+        // Numbers may be given as strings, as they are by the browser forms.
+        number(path, value, min=-Infinity, max=Infinity, integer=false) {
+            if (value === null || value === "" ||
+                (typeof value !== "number" && typeof value !== "string") ||
+                isNaN(Number(value))) {
+                this.add(path, "must be a number");
+                return false;
+            }
+            value = Number(value);
+            if (integer && !Number.isInteger(value)) {
+                this.add(path, "must be a whole number");
+            } else if (value < min) {
+                this.add(path, "must be at least " + min);
+            } else if (value > max) {
+                this.add(path, "must be at most " + max);
+            } else {
+                return true;
+            }
+            return false;
+        }
+
+        count(path, value, min=0) {
+            return this.number(path, value, min, Infinity, true);
+        }
+
+        probability(path, value) {
+            return this.number(path, value, 0, 1);
+        }
+
+        object(path, value) {
+            if (value === null || typeof value !== "object" ||
+                Array.isArray(value)) {
+                this.add(path, "must be an object");
+                return false;
+            }
+            return true;
+        }
+
+        array(path, value) {
+            if (!Array.isArray(value)) {
+                this.add(path, "must be a list");
+                return false;
+            }
+            return true;
+        }
+
+        oneOf(path, value, choices) {
+            if (!choices.includes(value)) {
+                this.add(path, "must be one of " + choices.join(", "));
+                return false;
+            }
+            return true;
+        }
+
+        keys(path, obj, known) {
+            for (const key in obj) {
+                if (!known.includes(key))
+                    this.add((path ? path + "." : "") + key, "unknown option");
+            }
+        }
+
+        events(path, events) {
+            if (!this.array(path, events))
+                return;
+            events.forEach((event, i) => {
+                if (typeof event !== "function")
+                    this.add(path + "[" + i + "]", "must be a function");
+            });
+        }
+
+        // A state that must exist in at least one cluster
+        state(path, key, sim) {
+            if (!sim.clusters.some(cluster => key in cluster.states)) {
+                this.add(path, "unknown state " + key);
+                return false;
+            }
+            return true;
+        }
+    }
+
+    function clusterPath(sim, cluster) {
+        return "clusters[" + sim.clusters.indexOf(cluster) + "]";
+    }
+
+    /* Returns the problems with the shape of simulation options that would
+       stop a simulation being created from them, and any unknown options.
+       extraKeys are further options that are allowed.
+     */
+    function validateOptions(options, extraKeys=[]) {
+        let checker = new ConfigChecker();
+        if (!checker.object("options", options))
+            return checker.problems;
+        checker.keys("", options, OPTION_KEYS.concat(extraKeys));
+        if (options.clusters !== undefined &&
+            checker.array("clusters", options.clusters)) {
+            options.clusters.forEach(function(cluster, i) {
+                checker.object("clusters[" + i + "]", cluster);
+            });
+        }
+        if (options.simulationStates !== undefined)
+            checker.object("simulationStates", options.simulationStates);
+        for (const key of ["interventions", "generationInterval",
+                           "migrationRates"]) {
+            if (options[key] !== undefined && options[key] !== null)
+                checker.array(key, options[key]);
+        }
+        return checker.problems;
+    }
+
+    EpiAgents.validateOptions = validateOptions;
+
+    function checkDuration(checker, path, duration) {
+        if (!checker.object(path, duration))
+            return;
+        const d = duration.distribution;
+        if (d === "fixed") {
+            checker.number(path + ".value", duration.value, 0);
+        } else if (d === "uniform") {
+            if (checker.number(path + ".min", duration.min, 0))
+                checker.number(path + ".max", duration.max,
+                               Number(duration.min));
+        } else if (d === "gamma") {
+            checker.number(path + ".shape", duration.shape, Number.MIN_VALUE);
+            checker.number(path + ".scale", duration.scale, Number.MIN_VALUE);
+        } else if (d === "lognormal") {
+            checker.number(path + ".meanlog", duration.meanlog);
+            checker.number(path + ".sdlog", duration.sdlog, 0);
+        } else if (d === "empirical") {
+            if (checker.array(path + ".values", duration.values)) {
+                if (duration.values.length === 0)
+                    checker.add(path + ".values", "must not be empty");
+                if (duration.weights !== undefined &&
+                    checker.array(path + ".weights", duration.weights) &&
+                    duration.weights.length !== duration.values.length)
+                    checker.add(path + ".weights",
+                                "must have one weight per value");
+            }
+        } else {
+            checker.oneOf(path + ".distribution", d,
+                          ["fixed", "uniform", "gamma", "lognormal",
+                           "empirical"]);
+        }
+    }
+
+    function checkStates(checker, path, states, mode) {
+        if (!checker.object(path, states))
+            return;
+        if (Object.keys(states).length === 0)
+            checker.add(path, "must have at least one state");
+        for (const key in states) {
+            const statePath = path + "." + key;
+            const state = states[key];
+            if (!checker.object(statePath, state))
+                continue;
+            checker.keys(statePath, state, STATE_KEYS);
+            if (state.infectiousness !== undefined)
+                checker.probability(statePath + ".infectiousness",
+                                    state.infectiousness);
+            checker.number(statePath + ".initialRatio", state.initialRatio, 0);
+            if (state.nextStateProb !== undefined &&
+                checker.object(statePath + ".nextStateProb",
+                               state.nextStateProb)) {
+                let total = 0.0;
+                for (const to in state.nextStateProb) {
+                    const p = statePath + ".nextStateProb." + to;
+                    const value = state.nextStateProb[to];
+                    if (!(to in states))
+                        checker.add(p, "unknown state");
+                    if (mode === TransitionMode.RATES)
+                        checker.number(p, value, 0);
+                    else
+                        checker.probability(p, value);
+                    total += Number(value);
+                }
+                if (mode === TransitionMode.COMPETING && !state.duration &&
+                    total > 1.0 + 1e-9) {
+                    checker.add(statePath + ".nextStateProb",
+                                "probabilities sum to " + round(total, 6) +
+                                " which is more than 1");
+                }
+            }
+            if (state.duration !== undefined)
+                checkDuration(checker, statePath + ".duration", state.duration);
+            if (state.nextStateWeights !== undefined &&
+                checker.object(statePath + ".nextStateWeights",
+                               state.nextStateWeights)) {
+                for (const to in state.nextStateWeights) {
+                    const p = statePath + ".nextStateWeights." + to;
+                    if (!(to in states))
+                        checker.add(p, "unknown state");
+                    checker.number(p, state.nextStateWeights[to], 0);
+                }
+            }
+        }
+        if (findStateWithRole(states, "susceptible") !== undefined &&
+            findStateWithRole(states, "infectionEntry") === undefined) {
+            checker.add(path, "there are susceptible states but no " +
+                        "infectionEntry state");
+        }
+    }
+
+    function checkAttributes(checker, path, specs, sim) {
+        if (!checker.object(path, specs))
+            return;
+        for (const name in specs) {
+            const specPath = path + "." + name;
+            const spec = specs[name];
+            if (!checker.object(specPath, spec))
+                continue;
+            checker.keys(specPath, spec,
+                         ["values", "weights", "prevalence", "multipliers"]);
+            let values = [];
+            if ("prevalence" in spec) {
+                checker.probability(specPath + ".prevalence", spec.prevalence);
+                values = [true, false];
+            } else if (checker.array(specPath + ".values", spec.values)) {
+                values = spec.values;
+                if (values.length === 0)
+                    checker.add(specPath + ".values", "must not be empty");
+                if (spec.weights !== undefined &&
+                    checker.array(specPath + ".weights", spec.weights)) {
+                    if (spec.weights.length !== values.length)
+                        checker.add(specPath + ".weights",
+                                    "must have one weight per value");
+                    spec.weights.forEach((w, i) => checker.number(
+                        specPath + ".weights[" + i + "]", w, 0));
+                }
+            }
+            if (spec.multipliers === undefined ||
+                !checker.object(specPath + ".multipliers", spec.multipliers))
+                continue;
+            for (const value in spec.multipliers) {
+                const m = spec.multipliers[value];
+                const mPath = specPath + ".multipliers." + value;
+                if (!values.some(v => String(v) === value))
+                    checker.add(mPath, "unknown value");
+                if (!checker.object(mPath, m))
+                    continue;
+                checker.keys(mPath, m, ["susceptibility", "infectiousness",
+                                        "nextStateProb"]);
+                for (const key of ["susceptibility", "infectiousness"]) {
+                    if (m[key] !== undefined)
+                        checker.number(mPath + "." + key, m[key], 0);
+                }
+                if (m.nextStateProb === undefined ||
+                    !checker.object(mPath + ".nextStateProb", m.nextStateProb))
+                    continue;
+                for (const from in m.nextStateProb) {
+                    const fromPath = mPath + ".nextStateProb." + from;
+                    if (!checker.state(fromPath, from, sim) ||
+                        !checker.object(fromPath, m.nextStateProb[from]))
+                        continue;
+                    for (const to in m.nextStateProb[from]) {
+                        if (checker.state(fromPath + "." + to, to, sim))
+                            checker.number(fromPath + "." + to,
+                                           m.nextStateProb[from][to], 0);
+                    }
+                }
+            }
+        }
+    }
+
+    function checkMixing(checker, sim) {
+        sim.config.mixing.forEach(function(spec, m) {
+            const path = "mixing[" + m + "]";
+            if (!checker.object(path, spec))
+                return;
+            checker.keys(path, spec, ["attribute", "groups", "matrix",
+                                      "normalise"]);
+            if (!sim.groups.some(g => g[0] === spec.attribute)) {
+                checker.add(path + ".attribute", "unknown attribute " +
+                            spec.attribute);
+                return;
+            }
+            if (spec.groups !== undefined)
+                checker.array(path + ".groups", spec.groups);
+            const n = sim.mixing[m].groups.length;
+            if (!checker.array(path + ".matrix", spec.matrix))
+                return;
+            if (spec.matrix.length !== n)
+                checker.add(path + ".matrix", "must have " + n + " rows");
+            spec.matrix.forEach(function(row, i) {
+                const rowPath = path + ".matrix[" + i + "]";
+                if (!checker.array(rowPath, row))
+                    return;
+                if (row.length !== n)
+                    checker.add(rowPath, "must have " + n + " columns");
+                row.forEach((v, j) => checker.number(rowPath + "[" + j + "]",
+                                                     v, 0));
+            });
+        });
+    }
+
+    function checkLayers(checker, sim) {
+        if (!checker.array("layers", sim.config.layers))
+            return;
+        let names = [];
+        sim.config.layers.forEach(function(layer, l) {
+            const path = "layers[" + l + "]";
+            if (!checker.object(path, layer))
+                return;
+            checker.keys(path, layer, ["name", "size", "attributes",
+                                       "transmission", "open"]);
+            if (typeof layer.name !== "string" || layer.name === "")
+                checker.add(path + ".name", "must be a name");
+            else if (names.includes(layer.name))
+                checker.add(path + ".name", "another layer is named " +
+                            layer.name);
+            names.push(layer.name);
+            checker.probability(path + ".transmission", layer.transmission);
+            if (typeof layer.size === "object" && layer.size !== null) {
+                checkAttributes(checker, path, {size: layer.size}, sim);
+                (layer.size.values || []).forEach((v, i) => checker.count(
+                    path + ".size.values[" + i + "]", v, 1));
+            } else {
+                checker.count(path + ".size", layer.size, 1);
+            }
+            if (layer.attributes !== undefined)
+                checker.object(path + ".attributes", layer.attributes);
+        });
+    }
+
+    function checkPartnerships(checker, sim) {
+        const config = sim.config.partnerships;
+        if (!config)
+            return;
+        checker.keys("partnerships", config, Object.keys(PartnershipDefaults));
+        checker.object("partnerships.attributes", config.attributes);
+        checker.probability("partnerships.formationRate",
+                            config.formationRate);
+        checker.number("partnerships.meanDuration", config.meanDuration, 1);
+        checker.count("partnerships.maxPartners", config.maxPartners, 1);
+        checker.count("partnerships.candidates", config.candidates, 1);
+        checker.number("partnerships.transmission", config.transmission, 0);
+        for (const key of ["sexAttribute", "ageAttribute"]) {
+            if (config[key] && !sim.groups.some(g => g[0] === config[key]))
+                checker.add("partnerships." + key, "unknown attribute " +
+                            config[key]);
+        }
+        if (!checker.object("partnerships.ageGap", config.ageGap))
+            return;
+        const gaps = "mean" in config.ageGap ? {"": config.ageGap} :
+              config.ageGap;
+        for (const key in gaps) {
+            const path = "partnerships.ageGap" + (key ? "." + key : "");
+            if (checker.object(path, gaps[key])) {
+                checker.number(path + ".mean", gaps[key].mean);
+                checker.number(path + ".stdev", gaps[key].stdev, 0);
+            }
+        }
+    }
+
+    function checkDemography(checker, sim) {
+        const config = sim.config.demography;
+        if (!config)
+            return;
+        checker.keys("demography", config, Object.keys(DemographyDefaults));
+        checker.probability("demography.birthRate", config.birthRate);
+        if (config.birthCluster !== null &&
+            !sim.clusters.some(c => c.name === config.birthCluster))
+            checker.add("demography.birthCluster", "unknown cluster " +
+                        config.birthCluster);
+        for (const key of ["birthState", "deathState"]) {
+            if (config[key] === null)
+                continue;
+            for (const cluster of sim.clusters) {
+                if (!(config[key] in cluster.states))
+                    checker.add("demography." + key, "unknown state " +
+                                config[key] + " in " +
+                                clusterPath(sim, cluster));
+            }
+        }
+        if (config.deathState !== null &&
+            sim.clusters.some(c => config.deathState in c.states &&
+                              !c.states[config.deathState].dead))
+            checker.add("demography.deathState", "must be a dead state");
+        if (typeof config.deathRate === "object" && config.deathRate !== null) {
+            if (!config.ageAttribute)
+                checker.add("demography.deathRate",
+                            "rates by age need an ageAttribute");
+            for (const age in config.deathRate) {
+                checker.number("demography.deathRate." + age, age, 0);
+                checker.probability("demography.deathRate." + age,
+                                    config.deathRate[age]);
+            }
+        } else {
+            checker.probability("demography.deathRate", config.deathRate);
+        }
+        if (config.ageAttribute &&
+            !sim.groups.some(g => g[0] === config.ageAttribute))
+            checker.add("demography.ageAttribute", "unknown attribute " +
+                        config.ageAttribute);
+        // Ageing adds a year, so ages must be consecutive whole years
+        for (const cluster of config.ageAttribute ? sim.clusters : []) {
+            const spec = attributeSpecs(sim, cluster)[config.ageAttribute];
+            if (!spec || typeof spec !== "object" ||
+                !Array.isArray(attributeValues(spec)))
+                continue;
+            const values = attributeValues(spec);
+            if (!values.every((v, i) => Number.isInteger(v) &&
+                              (i === 0 || v === values[i - 1] + 1)))
+                checker.add("demography.ageAttribute", "the values of " +
+                            config.ageAttribute + " in " +
+                            clusterPath(sim, cluster) + " must be " +
+                            "consecutive whole years");
+            else if (config.birthRate > 0 && values[0] !== 0)
+                checker.add("demography.ageAttribute", "the values of " +
+                            config.ageAttribute + " in " +
+                            clusterPath(sim, cluster) + " must start at 0 " +
+                            "for newborns");
+        }
+        checker.count("demography.ageingInterval", config.ageingInterval, 1);
+        if (typeof config.purge !== "boolean")
+            checker.add("demography.purge", "must be true or false");
+    }
+
+    function checkStrains(checker, sim) {
+        const strains = sim.config.strains;
+        if (!checker.array("strains", strains))
+            return;
+        const names = strains.map(strain => strain && strain.name);
+        const base = Object.keys(sim.clusters[0].states).filter(
+            key => sim.clusters[0].states[key].strain === names[0]);
+        strains.forEach(function(strain, i) {
+            const path = "strains[" + i + "]";
+            if (!checker.object(path, strain))
+                return;
+            checker.keys(path, strain, ["name", "color", "infectiousness",
+                                        "states", "crossImmunity",
+                                        "introduce"]);
+            // Names become part of state keys and counters
+            if (typeof strain.name !== "string" || !/^\w+$/.test(strain.name))
+                checker.add(path + ".name", "must be a name made of " +
+                            "letters, digits and underscores");
+            else if (names.indexOf(strain.name) !== i)
+                checker.add(path + ".name", "another strain is named " +
+                            strain.name);
+            else if (i > 0) {
+                for (const key of base) {
+                    const copy = sim.clusters[0].states[
+                        strainStateKey(key, strain.name)];
+                    if (copy && copy.strain !== strain.name)
+                        checker.add(path + ".name", "state " +
+                                    strainStateKey(key, strain.name) +
+                                    " already exists");
+                }
+            }
+            if (i === 0) {
+                for (const key of ["infectiousness", "states"]) {
+                    if (strain[key] !== undefined)
+                        checker.add(path + "." + key, "the first strain is " +
+                                    "described by the cluster's states");
+                }
+            }
+            if (strain.infectiousness !== undefined)
+                checker.number(path + ".infectiousness", strain.infectiousness,
+                               0);
+            if (strain.states !== undefined &&
+                checker.object(path + ".states", strain.states)) {
+                for (const key in strain.states) {
+                    if (!base.includes(key))
+                        checker.add(path + ".states." + key,
+                                    "unknown infected state");
+                }
+            }
+            if (strain.crossImmunity !== undefined &&
+                checker.object(path + ".crossImmunity", strain.crossImmunity)) {
+                for (const other in strain.crossImmunity) {
+                    const p = path + ".crossImmunity." + other;
+                    if (!names.includes(other))
+                        checker.add(p, "unknown strain");
+                    checker.probability(p, strain.crossImmunity[other]);
+                }
+            }
+            const introduce = strain.introduce;
+            if (introduce === undefined ||
+                !checker.object(path + ".introduce", introduce))
+                return;
+            checker.keys(path + ".introduce", introduce,
+                         ["iteration", "count", "cluster", "state"]);
+            checker.count(path + ".introduce.iteration", introduce.iteration);
+            if (introduce.count !== undefined)
+                checker.count(path + ".introduce.count", introduce.count, 1);
+            if (introduce.cluster !== undefined &&
+                !sim.clusters.some(c => c.name === introduce.cluster))
+                checker.add(path + ".introduce.cluster", "unknown cluster " +
+                            introduce.cluster);
+            if (introduce.state !== undefined && !base.includes(introduce.state))
+                checker.add(path + ".introduce.state", "unknown infected state");
+        });
+    }
+
+    function checkCluster(checker, sim, i) {
+        const cluster = sim.clusters[i];
+        const path = "clusters[" + i + "]";
+        if (!checker.object(path, cluster))
+            return;
+        checker.keys(path, cluster, CLUSTER_KEYS);
+        for (const side of ["left", "top", "right", "bottom"])
+            checker.number(path + "." + side, cluster[side]);
+        if (Number(cluster.right) <= Number(cluster.left))
+            checker.add(path + ".right", "must be greater than left");
+        if (Number(cluster.bottom) <= Number(cluster.top))
+            checker.add(path + ".bottom", "must be greater than top");
+        checker.count(path + ".numAgents", cluster.numAgents);
+        if (cluster.attributes !== undefined)
+            checkAttributes(checker, path + ".attributes", cluster.attributes,
+                            sim);
+        for (const key of ["beforeEvents", "duringEvents", "afterEvents"])
+            checker.events(path + "." + key, cluster[key]);
+        checkStates(checker, path + ".states", cluster.states,
+                    sim.config.transitionMode);
+        if (sim.config.testing &&
+            findStateWithRole(cluster.states || {}, "quarantine") ===
+            undefined) {
+            checker.add(path + ".states", "testing is configured but there " +
+                        "is no quarantine state");
+        }
+    }
+
+    function checkMigration(checker, sim) {
+        const n = sim.clusters.length;
+        const rates = sim.config.migrationRates;
+        if (!checker.array("migrationRates", rates))
+            return;
+        rates.forEach(function(row, from) {
+            const path = "migrationRates[" + from + "]";
+            if (row === undefined || row === null)
+                return;
+            if (from >= n)
+                checker.add(path, "unknown cluster " + from);
+            if (!checker.array(path, row))
+                return;
+            let total = 0.0;
+            row.forEach(function(rate, to) {
+                if (to >= n)
+                    checker.add(path + "[" + to + "]",
+                                "unknown cluster " + to);
+                if (checker.probability(path + "[" + to + "]", rate || 0) &&
+                    to !== from)
+                    total += Number(rate || 0);
+            });
+            if (total > 1.0 + 1e-9)
+                checker.add(path, "rates sum to " + round(total, 6) +
+                            " which is more than 1");
+        });
+        const times = sim.config.travelTimes;
+        if (Array.isArray(times)) {
+            times.forEach(function(row, from) {
+                if (checker.array("travelTimes[" + from + "]", row)) {
+                    row.forEach((t, to) => checker.number(
+                        "travelTimes[" + from + "][" + to + "]", t || 0, 0));
+                }
+            });
+        } else {
+            checker.number("travelTimes", times, 0);
+        }
+    }
+
+    // An iteration or a condition on counters (see conditionMet)
+    function checkCondition(checker, path, condition, sim) {
+        if (typeof condition === "number" || typeof condition === "string") {
+            checker.count(path, condition);
+            return;
+        }
+        if (!checker.object(path, condition))
+            return;
+        if (!(condition.counter in sim.counters))
+            checker.add(path + ".counter", "unknown counter " +
+                        condition.counter);
+        if (condition.relativeTo !== undefined &&
+            !(condition.relativeTo in sim.counters))
+            checker.add(path + ".relativeTo", "unknown counter " +
+                        condition.relativeTo);
+        if ("above" in condition)
+            checker.number(path + ".above", condition.above);
+        else if ("below" in condition)
+            checker.number(path + ".below", condition.below);
+        else
+            checker.add(path, "must have above or below");
+    }
+
+    function checkInterventions(checker, sim) {
+        sim.config.interventions.forEach(function(intervention, i) {
+            const path = "interventions[" + i + "]";
+            if (!checker.object(path, intervention))
+                return;
+            checker.keys(path, intervention, INTERVENTION_KEYS);
+            checkCondition(checker, path + ".start", intervention.start, sim);
+            if (intervention.end !== undefined)
+                checkCondition(checker, path + ".end", intervention.end, sim);
+            if (intervention.duration !== undefined)
+                checker.count(path + ".duration", intervention.duration, 1);
+            if (!checker.array(path + ".actions", intervention.actions))
+                return;
+            intervention.actions.forEach(function(action, a) {
+                const actionPath = path + ".actions[" + a + "]";
+                if (!checker.object(actionPath, action))
+                    return;
+                if (!(action.name in Parameters)) {
+                    checker.add(actionPath + ".name", "unknown parameter " +
+                                action.name);
+                    return;
+                }
+                if ("multiply" in action)
+                    checker.number(actionPath + ".multiply", action.multiply);
+                else if (!("value" in action))
+                    checker.add(actionPath, "must have value or multiply");
+                if (Parameters[action.name].check)
+                    Parameters[action.name].check(checker, actionPath, sim,
+                                                  action);
+            });
+        });
+    }
+
+    function checkVaccination(checker, sim) {
+        sim.config.vaccination.forEach(function(campaign, i) {
+            const path = "vaccination[" + i + "]";
+            if (!checker.object(path, campaign))
+                return;
+            checker.keys(path, campaign, VACCINATION_KEYS);
+            checker.count(path + ".start", campaign.start);
+            if (campaign.end !== undefined)
+                checker.count(path + ".end", campaign.end);
+            checker.count(path + ".dosesPerIteration",
+                          campaign.dosesPerIteration);
+            if (campaign.priority !== undefined)
+                checker.oneOf(path + ".priority", campaign.priority,
+                              ["random", "connected", "oldest", "ring"]);
+            if (campaign.priority === "oldest") {
+                const age = campaignAgeAttribute(sim, campaign);
+                for (const cluster of sim.clusters) {
+                    if (!(age in attributeSpecs(sim, cluster)))
+                        checker.add(path + ".priority", "oldest first " +
+                                    "needs an age attribute, but agents in " +
+                                    clusterPath(sim, cluster) + " have no " +
+                                    age);
+                }
+            }
+            if (campaign.priorInfection !== undefined)
+                checker.oneOf(path + ".priorInfection",
+                              campaign.priorInfection, ["exclude", "only"]);
+            if (campaign.doses !== undefined)
+                checker.count(path + ".doses", campaign.doses, 1);
+            if (campaign.interval !== undefined)
+                checker.count(path + ".interval", campaign.interval);
+            if (campaign.ringRadius !== undefined)
+                checker.number(path + ".ringRadius", campaign.ringRadius, 0);
+            if (campaign.efficacy !== undefined) {
+                [].concat(campaign.efficacy).forEach((e, d) =>
+                    checker.probability(path + ".efficacy" +
+                                        (Array.isArray(campaign.efficacy) ?
+                                         "[" + d + "]" : ""), e));
+            }
+            if (campaign.clusters !== undefined &&
+                checker.array(path + ".clusters", campaign.clusters)) {
+                const names = sim.clusters.map(cluster => cluster.name);
+                campaign.clusters.forEach(function(name, c) {
+                    if (!names.includes(name))
+                        checker.add(path + ".clusters[" + c + "]",
+                                    "unknown cluster " + name);
+                });
+            }
+            for (const key of ["states", "ringStates"]) {
+                if (campaign[key] !== undefined &&
+                    checker.array(path + "." + key, campaign[key])) {
+                    campaign[key].forEach((state, s) => checker.state(
+                        path + "." + key + "[" + s + "]", state, sim));
+                }
+            }
+            if (campaign.attributes !== undefined)
+                checker.object(path + ".attributes", campaign.attributes);
+            if (campaign.vaccinatedState !== undefined) {
+                checker.state(path + ".vaccinatedState",
+                              campaign.vaccinatedState, sim);
+            } else if (!sim.clusters.some(cluster => findStateWithRole(
+                cluster.states || {}, "vaccinated") !== undefined)) {
+                checker.add(path, "there is no vaccinated state and no " +
+                            "vaccinatedState");
+            }
+        });
+    }
+
+    function checkTesting(checker, sim) {
+        const testing = sim.config.testing;
+        if (!testing)
+            return;
+        checker.keys("testing", testing, Object.keys(TestingDefaults));
+        for (const key of ["start", "testsPerIteration", "reportingDelay",
+                           "quarantineDuration"])
+            checker.count("testing." + key, testing[key]);
+        checker.count("testing.contactMemory", testing.contactMemory, 1);
+        for (const key of ["sensitivity", "specificity",
+                           "isolationCompliance", "traceProbability",
+                           "compliance"])
+            checker.probability("testing." + key, testing[key]);
+        if (testing.states && checker.array("testing.states", testing.states)) {
+            testing.states.forEach((state, s) => checker.state(
+                "testing.states[" + s + "]", state, sim));
+        }
+    }
+
+    function checkConfig(checker, sim) {
+        const config = sim.config;
+        checker.number("width", config.width, 1);
+        checker.number("height", config.height, 1);
+        checker.number("interval", config.interval, 0);
+        checker.number("agentRadius", config.agentRadius, 0);
+        checker.number("agentSpeed", config.agentSpeed, 0);
+        checker.count("maxIterations", config.maxIterations);
+        checker.count("rtWindow", config.rtWindow, 1);
+        checker.number("seed", config.seed);
+        checker.oneOf("transitionMode", config.transitionMode,
+                      Object.values(TransitionMode));
+        if (config.generationInterval &&
+            checker.array("generationInterval", config.generationInterval)) {
+            config.generationInterval.forEach((w, i) => checker.number(
+                "generationInterval[" + i + "]", w, 0));
+        }
+        for (const key of ["extraBeforeEvents", "extraDuringEvents",
+                           "extraAfterEvents"])
+            checker.events(key, config[key]);
+        if (checker.array("clusters", sim.clusters)) {
+            for (let i = 0; i < sim.clusters.length; i++)
+                checkCluster(checker, sim, i);
+        }
+        checkAttributes(checker, "attributes", config.attributes, sim);
+        checkMixing(checker, sim);
+        checkLayers(checker, sim);
+        checkPartnerships(checker, sim);
+        checkStrains(checker, sim);
+        checkDemography(checker, sim);
+        checkMigration(checker, sim);
+        checkInterventions(checker, sim);
+        checkVaccination(checker, sim);
+        checkTesting(checker, sim);
+    }
+
+    class Simulation {
+
+        processOptions(options) {
             // Simulation parameters
             this.config = {};
             let config = this.config;
@@ -535,334 +3070,2073 @@
             config.movementRandomnessMean = options.movementRandomnessMean || 0.0;
             config.movementRandomnessStdev = options.movementRandomnessStdev || 0.0;
             config.elasticCollisions = options.elasticCollisions || true;
-            config.agentSpeed = ifElse(options.agents_speed, 1.0);
+            // False for diseases spread only through contact layers or
+            // partnerships, e.g. sexually transmitted infections
+            config.collisionInfection = ifElse(options.collisionInfection, true);
+            config.agentSpeed = ifElse(options.agentSpeed,
+                                       ifElse(options.agents_speed, 1.0));
             config.maxIterations = options.maxIterations || 0;
             config.extraBeforeEvents = options.extraBeforeEvents || [];
             config.extraDuringEvents = options.extraDuringEvents || [];
             config.extraAfterEvents = options.extraAfterEvents || [];
+            config.interventions = (options.interventions || []).map(
+                (intervention, i) => ({
+                    name: "intervention" + i,
+                    actions: [],
+                    ...intervention
+                }));
+            config.vaccination = [].concat(options.vaccination || []).map(
+                (campaign, i) => ({
+                    name: "campaign" + i,
+                    ...campaign
+                }));
+            config.testing = options.testing ?
+                {...TestingDefaults, ...options.testing} : null;
+            config.attributes = options.attributes || {};
+            config.mixing = [].concat(options.mixing || []);
+            config.layers = (options.layers || []).map(
+                layer => ({open: true, ...layer}));
+            config.partnerships = options.partnerships ?
+                {...PartnershipDefaults, ...options.partnerships} : null;
+            config.strains = options.strains || [];
+            // Strains are set up only if they are a list of objects:
+            // checkStrains reports anything else
+            const strains = Array.isArray(config.strains) &&
+                  config.strains.every(
+                      strain => typeof strain === "object" && strain !== null) ?
+                  config.strains : [];
+            config.demography = options.demography ?
+                {...DemographyDefaults, ...options.demography} : null;
+            config.rtWindow = options.rtWindow || 7;
+            config.generationInterval = options.generationInterval || null;
+            config.transitionMode = options.transitionMode ||
+                TransitionMode.COMPETING;
+            // migrationRates[i][j] is the probability per iteration that an
+            // agent in cluster i leaves for cluster j. travelTimes is either a
+            // number of iterations for all journeys or a matrix like
+            // migrationRates.
+            config.migrationRates = options.migrationRates || [];
+            config.travelTimes = options.travelTimes || 0;
+            // Every stochastic decision in the simulation draws from this.random
+            // so that a run can be reproduced exactly from its seed.
+            config.seed = ifElse(options.seed, makeSeed());
+
+            config.clusters =  [
+                {
+                    name: "default",
+                    left: 0,
+                    top: 0,
+                    right: config.width,
+                    bottom: config.height,
+                    border: true,
+                    borderColor: "black",
+                    numAgents: options.numAgents || 0,
+                    states: options.simulationStates || deepCopy(SimulationStates),
+                    beforeEvents: options.beforeEvents ||
+                        [].concat(config.extraBeforeEvents),
+                    duringEvents: options.duringEvents ||
+                        [eventApplyInterventions, eventDemography,
+                         eventIntroduceStrains, eventVaccinate,
+                         eventTestAndTrace, eventAdvanceAgents,
+                         eventMigrateAgents, eventMoveAgents,
+                         eventLayerTransmission, eventPartnerships,
+                         eventCalcResults, eventRecordResult].
+                        concat(config.extraDuringEvents) || options.duringEvents,
+                    afterEvents: options.afterEvents ||
+                        [eventCalcResults, eventRecordResult].
+                        concat(config.extraAfterEvents)
+                },
+            ];
+
+            if ("clusters" in options) {
+                for (let i = 0; i < options.clusters.length; i++) {
+                    if (i > 0) config.clusters.push(deepCopy(config.clusters[0]));
+                    for (let key in options.clusters[i]) {
+                        config.clusters[i][key] = deepCopy(options.clusters[i][key]);
+                    }
+                }
+            }
+            for (let cluster of config.clusters) {
+                cluster.states = addLegacyRoles(cluster.states);
+                addStrainStates(cluster, strains);
+                if (config.testing)
+                    addQuarantineState(cluster);
+            }
+            this.clusters = config.clusters;
+            this.state = SimulationPhase.PAUSED;
+            this.timer = undefined;
+            this.agentCounter = options.agentCounter || 0;
+            this.agents = [];
+            this.grid = undefined;
+            this.collisions = 0;
+            // Who infected whom: one record per infection (see makeInfection)
+            this.transmissions = [];
+            // Used to estimate the reproduction number (see
+            // calcReproductionNumbers): new infections on each iteration,
+            // the number of each generation interval and [iteration,
+            // infections caused] for every agent whose infection has ended.
+            this.incidence = [];
+            this.generationIntervalCounts = [];
+            this.completedInfections = [];
+            this.interventionStatus = config.interventions.map(
+                () => ({active: false, done: false, start: undefined}));
+            // The value each parameter changed by an active intervention had
+            // before, and the active actions on it in the order they began
+            this.parameterModifiers = {};
+            this.interventionLog = [];
+            this.vaccineDoses = [];
+            // Testing and contact tracing (see eventTestAndTrace): tests
+            // whose results haven't been reported, traced contacts waiting
+            // for a test and the testing counts of each iteration.
+            this.pendingTests = [];
+            this.testQueue = [];
+            this.testCounts = [];
+            // Births and deaths from other causes on each iteration (see
+            // eventDemography)
+            this.demographyCounts = [];
+            // Attribute groups and the results and infections of each (see
+            // recordGroupResult)
+            this.groups = attributeGroups(this);
+            this.groupResults = [];
+            this.groupInfections = {};
+            for (const [name, value] of this.groups)
+                this.groupInfections[name] = {};
+            this.mixing = setupMixing(this);
+            // The groups of each contact layer (see buildLayers) and the
+            // infections in each layer on each iteration
+            this.layers = [];
+            this.layerIncidence = {};
+            for (const layer of config.layers)
+                this.layerIncidence[layer.name] = [];
+            // Every partnership formed and those that haven't ended (see
+            // eventPartnerships)
+            this.partnerships = [];
+            this.activePartnerships = [];
+            if (config.partnerships)
+                this.layerIncidence.partnership = [];
+            // New infections with each strain on each iteration
+            this.strainIncidence = {};
+            for (const strain of strains)
+                this.strainIncidence[strain.name] = [];
+            this.user_counters = {};
+
+            for (const cluster of config.clusters) {
+                for (const state in cluster.states) {
+                    if (!(state in this.user_counters)) {
+                        this.user_counters[state] = {
+                            num: 0,
+                            print: ifElse(cluster.states[state].print, true)
+                        }
+                    }
+                }
+            }
+            this.compulsory_counters = {
+                alive: {
+                    print: true,
+                    num: 0
+                },
+                total_initial_infections: {
+                    print: false,
+                    num: 0
+                },
+                total_simulation_infections: {
+                    print: true,
+                    num: 0
+                },
+                infections: {
+                    print: true,
+                    num: 0
+                },
+                rt_case: {
+                    print: true,
+                    num: 0
+                },
+                rt_cori: {
+                    print: true,
+                    num: 0
+                }
+            };
+            for (const intervention of config.interventions) {
+                this.compulsory_counters[interventionCounter(intervention)] = {
+                    print: true,
+                    num: 0
+                };
+            }
+            if (config.vaccination.length > 0) {
+                this.compulsory_counters.vaccine_doses = {
+                    print: true,
+                    num: 0
+                };
+                this.compulsory_counters.total_vaccine_doses = {
+                    print: true,
+                    num: 0
+                };
+            }
+            for (const layer of config.layers) {
+                this.compulsory_counters[layerCounter(layer)] = {
+                    print: true,
+                    num: 0
+                };
+                this.compulsory_counters["total_" + layerCounter(layer)] = {
+                    print: true,
+                    num: 0
+                };
+            }
+            for (const strain of strains) {
+                for (const key of [strainCounter(strain, "infected"),
+                                   strainCounter(strain, "infections"),
+                                   "total_" + strainCounter(strain,
+                                                            "infections")]) {
+                    this.compulsory_counters[key] = {
+                        print: true,
+                        num: 0
+                    };
+                }
+            }
+            if (config.partnerships) {
+                for (const key of ["partnerships", "concurrent",
+                                   "total_partnerships",
+                                   "partnership_infections",
+                                   "total_partnership_infections"]) {
+                    this.compulsory_counters[key] = {
+                        print: true,
+                        num: 0
+                    };
+                }
+            }
+            if (config.testing) {
+                for (const key of TESTING_COUNTERS) {
+                    this.compulsory_counters[key] = {
+                        print: true,
+                        num: 0
+                    };
+                    this.compulsory_counters["total_" + key] = {
+                        print: true,
+                        num: 0
+                    };
+                }
+            }
+            if (config.demography) {
+                for (const key of DEMOGRAPHY_COUNTERS) {
+                    this.compulsory_counters[key] = {
+                        print: true,
+                        num: 0
+                    };
+                    this.compulsory_counters["total_" + key] = {
+                        print: true,
+                        num: 0
+                    };
+                }
+                if (config.demography.purge) {
+                    this.compulsory_counters.total_purged = {
+                        print: true,
+                        num: 0
+                    };
+                }
+            }
+            if (config.clusters.length > 1) {
+                this.compulsory_counters.total_migrations = {
+                    print: true,
+                    num: 0
+                };
+                this.compulsory_counters.travelling = {
+                    print: true,
+                    num: 0
+                };
+            }
+            this.counters = {
+                ...this.compulsory_counters,
+                ...this.user_counters
+            };
+            this.eventPhase = options.eventPhase || EventPhase.BEFORE;
+            this.results = [];
+            this.iteration = 0;
+            this.random = makeRandom(config.seed);
+        }
+
+        constructor(options) {
+            this.processOptions(options);
+        }
+
+        setClusterInitialRatio(cluster, state, val) {
+            if (state in cluster.states) {
+                cluster.states[state].initialRatio = val;
+            } else {
+                throw configError(clusterPath(this, cluster) + ".states." +
+                                  state, "unknown state");
+            }
+        }
+
+        setInitialRatio(state, val) {
+            this.setClusterInitialRatio(this.clusters[0], state, val);
+        }
+
+        setInitialRatios(arr) {
+            for (let cluster of this.clusters)
+                for (const parms of arr)
+                    this.setClusterInitialRatio(cluster, parms[0], parms[1]);
+        }
+
+        clearClusterInitialRatio(cluster, state) {
+            this.setClusterInitialRatio(cluster, state, 0);
+        }
+
+        ClearInitialRatio(state) {
+            this.clearClusterInitialRatio(this.clusters[0], state);
+        }
+
+        clearAllInitialRatios() {
+            for (let cluster of this.clusters) {
+                for (let state in cluster.states)
+                    this.clearClusterInitialRatio(cluster, state);
+            }
+        }
+
+        setClusterStateInfectiousness(cluster, state, val) {
+            if (state in cluster.states) {
+                cluster.states[state].infectiousness = val;
+            } else {
+                throw configError(clusterPath(this, cluster) + ".states." +
+                                  state, "unknown state");
+            }
+        }
+
+        setInfectiousness(state, val) {
+            this.setClusterStateInfectiousness(this.clusters[0], state, val);
+        }
+
+        setClusterInfectiousnesses(cluster, arr) {
+            for (const parms of arr)
+                this.setClusterStateInfectiousness(cluster, parms[0],
+                                                   parms[1]);
+        }
+
+        setInfectiousnesses(arr) {
+            for (let cluster of this.clusters)
+                this.setClusterInfectiousnesses(cluster, arr)
+        }
+
+        clearClusterStateInfectiousness(cluster, state) {
+            this.setClusterStateInfectiousness(cluster, state, 0.0);
+        }
+
+        clearClusterInfectiousness(cluster) {
+            for (const state in cluster.states) {
+                this.clearClusterStateInfectiousness(cluster, state);
+            }
+        }
+
+        clearAllInfectiousness(state) {
+            for (let cluster of this.clusters)
+                this.clearClusterInfectiousness(cluster);
+        }
+
+        setClusterTransition(cluster, from_state, to_state, val) {
+            const path = clusterPath(this, cluster) + ".states.";
+            if (!(from_state in cluster.states))
+                throw configError(path + from_state, "unknown state");
+            if (!(to_state in cluster.states)) {
+                throw configError(path + from_state + ".nextStateProb." +
+                                  to_state, "unknown state");
+            }
+            cluster.states[from_state].nextStateProb[to_state] = val;
+        }
+
+        setClusterTransitions(cluster, arr) {
+            for (const parms of arr)
+                this.setClusterTransition(cluster, parms[0], parms[1], parms[2]);
+        }
+
+        setTransitions(arr) {
+            for (const cluster of this.clusters)
+                this.setClusterTransitions(cluster, arr);
+        }
+
+        clearClusterStateTransitions(cluster, state) {
+            cluster.states[state].nextStateProb = {};
+        }
+
+        clearAllClusterTransitions(cluster) {
+            for (let state in cluster.states) {
+                this.clearClusterStateTransitions(cluster, state);
+            }
+        }
+
+        clearAllTransitions() {
+            for (let cluster of this.clusters) {
+                this.clearAllClusterTransitions(cluster);
+            }
+        }
+
+        // Returns every problem with the configuration as {path, message}.
+        configProblems() {
+            let checker = new ConfigChecker();
+            checkConfig(checker, this);
+            return checker.problems;
+        }
+
+        // Throws an EpiAgentsConfigError listing every problem with the
+        // configuration, if there are any. Can be called before running.
+        validate() {
+            const problems = this.configProblems();
+            if (problems.length > 0)
+                throw new EpiAgentsConfigError(problems);
+        }
+
+        setMigrationRate(from, to, val) {
+            let rates = this.config.migrationRates;
+            const n = this.clusters.length;
+            for (let i = 0; i < n; i++) {
+                if (rates[i] === undefined)
+                    rates[i] = [];
+                for (let j = 0; j < n; j++)
+                    rates[i][j] = rates[i][j] || 0;
+            }
+            rates[from][to] = val;
+        }
+
+        setMigrationRates(arr) {
+            for (const parms of arr)
+                this.setMigrationRate(parms[0], parms[1], parms[2]);
+        }
+
+        clear() {
+            this.clearAllTransitions();
+            this.clearAllInfectiousness();
+            this.clearAllInitialRatios();
+        }
+
+        runEvents(events, cluster) {
+            for (let event of events) event(this, cluster);
+        }
+
+        beforeIteration() {
+            this.eventPhase = EventPhase.BEFORE;
+            for (let cluster of this.clusters)
+                this.runEvents(cluster.beforeEvents, cluster);
+        };
+
+        oneIteration() {
+            this.eventPhase = EventPhase.DURING;
+            for (let cluster of this.clusters)
+                this.runEvents(cluster.duringEvents, cluster);
+            ++this.iteration;
+            if (this.config.maxIterations > 0 &&
+                this.iteration % this.config.maxIterations === 0) {
+                this.stop();
+            }
+        }
 
-            config.clusters =  [
-                {
-                    name: "default",
-                    left: 0,
-                    top: 0,
-                    right: config.width,
-                    bottom: config.height,
-                    border: true,
-                    borderColor: "black",
-                    numAgents: options.numAgents || 0,
-                    states: options.simulationStates || deepCopy(SimulationStates),
-                    beforeEvents: options.beforeEvents ||
-                        [].concat(config.extraBeforeEvents),
-                    duringEvents: options.duringEvents ||
-                        [eventAdvanceAgents, eventMoveAgents, eventCalcResults,
-                         eventRecordResult].
-                        concat(config.extraDuringEvents) || options.duringEvents,
-                    afterEvents: options.afterEvents ||
-                        [eventCalcResults, eventRecordResult].
-                        concat(config.extraAfterEvents)
-                },
-            ];
+        afterIteration() {
+            this.eventPhase = EventPhase.AFTER;
+            for (let cluster of this.clusters)
+                this.runEvents(cluster.afterEvents, cluster);
+        };
 
-            if ("clusters" in options) {
-                for (let i = 0; i < options.clusters.length; i++) {
-                    if (i > 0) config.clusters.push(deepCopy(config.clusters[0]));
-                    for (let key in options.clusters[i]) {
-                        config.clusters[i][key] = deepCopy(options.clusters[i][key]);
+        step() {
+            if (this.state != SimulationPhase.PLAYING) {
+                if (this.iteration === 0)
+                    this.beforeIteration();
+                this.oneIteration();
+            }
+        }
+
+        play() {
+            if (this.state != SimulationPhase.PLAYING) {
+                this.state = SimulationPhase.PLAYING;
+                let sim = this;
+                if (this.iteration === 0)
+                    this.beforeIteration();
+                this.timer = setInterval(function() {
+                    sim.oneIteration();
+                }, this.config.interval);
+            }
+        }
+
+        pause() {
+            if (this.state != SimulationPhase.PAUSED) {
+                this.state = SimulationPhase.PAUSED;
+                clearInterval(this.timer);
+                this.timer = undefined;
+            }
+        }
+
+        stop() {
+            this.pause();
+            this.afterIteration();
+        }
+
+        // Runs the simulation to maxIterations without a timer. Used when
+        // there is no browser, e.g. for batch runs under Node.js.
+        run() {
+            if (this.config.maxIterations <= 0) {
+                throw configError("maxIterations",
+                                  "must be greater than 0 to run");
+            }
+            if (this.iteration === 0)
+                this.beforeIteration();
+            do {
+                this.oneIteration();
+            } while (this.iteration % this.config.maxIterations !== 0);
+        }
+
+        generateAgents(numAgents, cluster) {
+            for (let i = 0; i < numAgents; i++) {
+                let agent = new Agent(this, cluster);
+                // Agents added after the layers are built join them
+                if (this.layers.length > 0)
+                    joinLayers(this, agent);
+                this.agents.push(agent);
+            }
+            //this.config.numAgents = this.agents.length;
+        }
+
+        calcInitialRatios() {
+            for (let cluster of this.clusters) {
+                let total = 0.0;
+                for (const state in cluster.states) {
+                    total += parseFloat(cluster.states[state].initialRatio);
+                }
+                let cumulative = 0.0;
+                for (let state in cluster.states) {
+                    let r = cluster.states[state].initialRatio / total;
+                    cluster.states[state]["initial_proportion"] = cumulative + r;
+                    cumulative += r;
+                }
+            }
+        }
+
+        calcInitialStates(from = 0, to) {
+            if (to === undefined) {
+                to = this.agents.length;
+            }
+            for (let i = from; i < to; i++) {
+                let agent = this.agents[i];
+                let r = this.random();
+                for (const state in agent.cluster.states) {
+                    if (r < agent.cluster.states[state].initial_proportion) {
+                        agent.setState("S", state);
+                        if (agent.cluster.states[state].infected) {
+                            ++this.counters.total_initial_infections.num;
+                            this.incidence[0] = (this.incidence[0] || 0) + 1;
+                        }
+                        break;
                     }
                 }
             }
-            this.clusters = config.clusters;
-            this.state = SimulationPhase.PAUSED;
-            this.timer = undefined;
-            this.agentCounter = options.agentCounter || 0;
+        }
+
+        createAgents() {
             this.agents = [];
-            this.user_counters = {};
+            this.layers = [];
+            for (const cluster of this.clusters) {
+                this.generateAgents(cluster.numAgents, cluster);
+            }
+        }
 
-            for (let state in SimulationStates) {
-                this.user_counters[state] = {
-                    num: 0,
-                    print: false,
-                }
+        removeAgents(n) {
+            let removed = new Set();
+            for (let i = 0; i < n; i++) {
+                removed.add(this.agents.pop());
             }
-            this.user_counters["SUSCEPTIBLE"].print = true;
-            this.user_counters["RECOVERED"].print = true;
-            this.compulsory_counters = {
-                alive: {
-                    print: true,
-                    num: 0
-                },
-                total_initial_infections: {
-                    print: false,
-                    num: 0
-                },
-                total_simulation_infections: {
-                    print: true,
-                    num: 0
-                },
-                infections: {
-                    print: true,
-                    num: 0
+            for (let layer of this.layers) {
+                layer.groups = layer.groups.map(
+                    group => group.filter(agent => !removed.has(agent)));
+            }
+            this.activePartnerships = this.activePartnerships.filter(
+                function(partnership) {
+                    if (partnership.agents.some(a => removed.has(a))) {
+                        endPartnership(this, partnership);
+                        return false;
+                    }
+                    return true;
+                }, this);
+            //this.config.numAgents = this.agents.length;
+        }
+
+        setSeed(seed) {
+            this.config.seed = seed;
+            this.random = makeRandom(seed);
+        }
+
+        initialize() {
+            this.validate();
+            this.random = makeRandom(this.config.seed);
+            this.createAgents();
+            this.layers = buildLayers(this);
+            this.calcInitialRatios();
+            this.calcInitialStates();
+            eventCalcResults(this);
+        }
+
+    }
+
+    /* Creates a simulation, throwing an EpiAgentsConfigError that lists
+       every problem if the options are invalid. extraKeys are options used
+       by the caller, e.g. the user interface, that the simulation ignores.
+     */
+    EpiAgents.create = function(options={}, extraKeys=[]) {
+        let problems = validateOptions(options, extraKeys);
+        let sim;
+        try {
+            sim = new Simulation(options);
+            problems = problems.concat(sim.configProblems());
+        } catch (e) {
+            if (problems.length === 0)
+                throw e;
+        }
+        if (problems.length > 0)
+            throw new EpiAgentsConfigError(problems);
+        return sim;
+    }
+
+    EpiAgents.Simulation = Simulation;
+
+    const EVENT_KEYS = ["beforeEvents", "duringEvents", "afterEvents",
+                        "extraBeforeEvents", "extraDuringEvents",
+                        "extraAfterEvents"];
+
+    /* Returns a copy of simulation options (or a simulation's config) without
+       any event functions, so that the default events are used. Events
+       usually refer to the browser user interface, which a headless run
+       doesn't have.
+     */
+    function headlessOptions(options) {
+        let copy = deepCopy(options);
+        for (const key of EVENT_KEYS) {
+            delete copy[key];
+        }
+        if (copy.clusters) {
+            for (let cluster of copy.clusters) {
+                for (const key of EVENT_KEYS) {
+                    delete cluster[key];
                 }
+            }
+        }
+        return copy;
+    }
+
+    EpiAgents.headlessOptions = headlessOptions;
+
+    // prepare, if given, is called with the simulation before it is
+    // initialized, e.g. to change parameters with the simulation's setters.
+    function runSimulation(options, prepare) {
+        let sim = new Simulation(options);
+        if (prepare)
+            prepare(sim);
+        sim.initialize();
+        eventRecordResultHeader(sim);
+        eventRecordResult(sim);
+        sim.run();
+        return sim;
+    }
+
+    EpiAgents.runSimulation = runSimulation;
+
+    function percentile(sorted, p) {
+        if (sorted.length === 0)
+            return NaN;
+        const index = p / 100.0 * (sorted.length - 1);
+        const lower = Math.floor(index);
+        const upper = Math.ceil(index);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+    }
+
+    EpiAgents.percentile = percentile;
+
+    /*
+      Runs replicates of the same configuration, each with its own seed drawn
+      from the ensemble's seed, and aggregates every counter on every row of
+      the results into its mean, median and percentiles.
+     */
+    class Ensemble {
+        constructor(options, replicates=10, percentiles=[2.5, 25, 75, 97.5]) {
+            if (!Number.isInteger(replicates) || replicates < 1)
+                throw configError("replicates", "must be a whole number of " +
+                                  "at least 1");
+            this.config = {
+                seed: ifElse(options.seed, makeSeed()),
+                replicates: replicates,
+                percentiles: percentiles,
+                options: headlessOptions(options)
             };
-            this.counters = {
-                ...this.compulsory_counters,
-                ...this.user_counters
-            };
-            this.eventPhase = options.eventPhase || EventPhase.BEFORE;
+            const random = makeRandom(this.config.seed);
+            this.seeds = [];
+            for (let i = 0; i < replicates; i++) {
+                this.seeds.push(Math.floor(random() * 4294967296));
+            }
+            this.runs = [];
+            this.labels = [];
+            this.stats = {};
             this.results = [];
-            this.iteration = 0;
         }
 
-        constructor(options) {
-            this.processOptions(options);
-        }
+        runReplicate(i) {
+            let options = deepCopy(this.config.options);
+            options.seed = this.seeds[i];
+            const sim = runSimulation(options);
+            this.runs.push(sim.results);
+            return sim;
+        }
+
+        run() {
+            this.runs = [];
+            for (let i = 0; i < this.config.replicates; i++) {
+                this.runReplicate(i);
+            }
+            this.aggregate();
+        }
+
+        aggregate() {
+            const header = this.runs[0][0];
+            const numRows = Math.min(...this.runs.map(r => r.length));
+            this.labels = [];
+            for (let row = 1; row < numRows; row++) {
+                this.labels.push(this.runs[0][row][0]);
+            }
+            this.stats = {};
+            for (let col = 1; col < header.length; col++) {
+                let stat = {
+                    mean: [],
+                    median: [],
+                    percentiles: {}
+                };
+                for (const p of this.config.percentiles) {
+                    stat.percentiles[p] = [];
+                }
+                for (let row = 1; row < numRows; row++) {
+                    let values = this.runs.map(r => r[row][col]);
+                    values.sort((a, b) => a - b);
+                    stat.mean.push(values.reduce((a, b) => a + b, 0) /
+                                   values.length);
+                    stat.median.push(percentile(values, 50));
+                    for (const p of this.config.percentiles) {
+                        stat.percentiles[p].push(percentile(values, p));
+                    }
+                }
+                this.stats[header[col]] = stat;
+            }
+            this.recordResults(header);
+        }
+
+        recordResults(header) {
+            let row = ["#"];
+            for (let col = 1; col < header.length; col++) {
+                row.push(header[col] + "_mean", header[col] + "_median");
+                for (const p of this.config.percentiles) {
+                    row.push(header[col] + "_p" + p);
+                }
+            }
+            this.results = [row];
+            this.labels.forEach(function(label, i) {
+                let row = [label];
+                for (let col = 1; col < header.length; col++) {
+                    const stat = this.stats[header[col]];
+                    row.push(round(stat.mean[i], 4), stat.median[i]);
+                    for (const p of this.config.percentiles) {
+                        row.push(stat.percentiles[p][i]);
+                    }
+                }
+                this.results.push(row);
+            }, this);
+        }
+    }
+
+    EpiAgents.Ensemble = Ensemble;
+
+    EpiAgents.createEnsemble = function(options={}, replicates=10,
+                                        percentiles=[2.5, 25, 75, 97.5]) {
+        return new Ensemble(options, replicates, percentiles);
+    }
+
+    function linspace(min, max, steps) {
+        if (steps < 2)
+            return [min];
+        let values = [];
+        for (let i = 0; i < steps; i++) {
+            values.push(round(min + (max - min) * i / (steps - 1), 6));
+        }
+        return values;
+    }
+
+    EpiAgents.linspace = linspace;
+
+    // Values of a counter on each iteration of a results table, excluding
+    // the start and end rows.
+    function resultsColumn(results, key) {
+        const col = results[0].indexOf(key);
+        return results.slice(1).
+            filter(row => typeof row[0] === "number").
+            map(row => row[col]);
+    }
+
+    EpiAgents.resultsColumn = resultsColumn;
+
+    function finalResult(results, key) {
+        const col = results[0].indexOf(key);
+        return results[results.length - 1][col];
+    }
+
+    /* Outcome measures of a sweep. Each takes the results table and the
+       simulation of a run and returns a number. Add to this object to make
+       more available.
+     */
+    let SweepMetrics = {
+        peak_infections: function(results) {
+            return Math.max(...resultsColumn(results, "infections"));
+        },
+        time_to_peak: function(results) {
+            const infections = resultsColumn(results, "infections");
+            const iterations = resultsColumn(results, "#");
+            return iterations[infections.indexOf(Math.max(...infections))];
+        },
+        total_deaths: function(results, sim) {
+            let total = 0;
+            const states = sim.clusters[0].states;
+            for (const state in states) {
+                if (states[state].dead)
+                    total += finalResult(results, state);
+            }
+            return total;
+        },
+        total_simulation_infections: function(results) {
+            return finalResult(results, "total_simulation_infections");
+        }
+    };
+
+    EpiAgents.SweepMetrics = SweepMetrics;
+
+    /*
+      Model parameters that sweeps and interventions can change, keyed by the
+      name of a parameter descriptor such as
+          {name: "infectiousness", state: "INFECTED_SYMPTOMATIC"}
+      Each has a label for output, get and set functions, and optionally a
+      check function that reports problems with a descriptor to a
+      ConfigChecker. Changes apply to every cluster; get returns the value
+      in the first cluster. Add to this object to make more parameters
+      available.
+     */
+    let Parameters = {
+        numAgents: {
+            label: p => "numAgents",
+            get: (sim, p) => sim.clusters[0].numAgents,
+            set: function(sim, p, value) {
+                for (let cluster of sim.clusters)
+                    cluster.numAgents = value;
+            }
+        },
+        agentSpeed: {
+            label: p => "agentSpeed",
+            get: (sim, p) => sim.config.agentSpeed,
+            set: function(sim, p, value) {
+                const old = sim.config.agentSpeed;
+                sim.config.agentSpeed = value;
+                for (let agent of sim.agents) {
+                    agent.speed = value;
+                    if (old > 0) {
+                        agent.dx *= value / old;
+                        agent.dy *= value / old;
+                    } else {
+                        agent.setDirection();
+                    }
+                }
+            }
+        },
+        infectiousness: {
+            label: p => "infectiousness:" + p.state,
+            check: (checker, path, sim, p) =>
+                checker.state(path + ".state", p.state, sim),
+            get: (sim, p) => sim.clusters[0].states[p.state].infectiousness,
+            set: function(sim, p, value) {
+                for (let cluster of sim.clusters)
+                    sim.setClusterStateInfectiousness(cluster, p.state, value);
+            }
+        },
+        nextStateProb: {
+            label: p => "nextStateProb:" + p.from + "->" + p.to,
+            check: function(checker, path, sim, p) {
+                checker.state(path + ".from", p.from, sim);
+                checker.state(path + ".to", p.to, sim);
+            },
+            get: (sim, p) =>
+                sim.clusters[0].states[p.from].nextStateProb[p.to] || 0,
+            set: function(sim, p, value) {
+                sim.setTransitions([[p.from, p.to, value]]);
+            }
+        },
+        migrationRate: {
+            label: p => "migrationRate:" + p.from + "->" + p.to,
+            check: function(checker, path, sim, p) {
+                const n = sim.clusters.length - 1;
+                checker.number(path + ".from", p.from, 0, n, true);
+                checker.number(path + ".to", p.to, 0, n, true);
+            },
+            get: (sim, p) => (sim.config.migrationRates[p.from] || [])[p.to] || 0,
+            set: function(sim, p, value) {
+                sim.setMigrationRate(p.from, p.to, value);
+            }
+        },
+        // An entry of a mixing matrix, e.g. {name: "mixing", attribute: "age",
+        // group: 0, contactGroup: 0}
+        mixing: {
+            label: p => "mixing:" + p.attribute + ":" + p.group + "," +
+                p.contactGroup,
+            get: function(sim, p) {
+                const mixing = sim.mixing.find(m => m.attribute === p.attribute);
+                return mixing.factors[mixing.groups.indexOf(p.group)][
+                    mixing.groups.indexOf(p.contactGroup)];
+            },
+            set: function(sim, p, value) {
+                let mixing = sim.mixing.find(m => m.attribute === p.attribute);
+                mixing.factors[mixing.groups.indexOf(p.group)][
+                    mixing.groups.indexOf(p.contactGroup)] = value;
+            },
+            check: function(checker, path, sim, p) {
+                const mixing = sim.mixing.find(m => m.attribute === p.attribute);
+                if (mixing === undefined) {
+                    checker.add(path + ".attribute", "no mixing matrix for " +
+                                p.attribute);
+                    return;
+                }
+                checker.oneOf(path + ".group", p.group, mixing.groups);
+                checker.oneOf(path + ".contactGroup", p.contactGroup,
+                              mixing.groups);
+            }
+        },
+        // A setting of a contact layer, e.g. {name: "layer",
+        // layer: "school", key: "open"}
+        layer: {
+            label: p => "layer:" + p.layer + ":" + p.key,
+            get: (sim, p) =>
+                sim.config.layers.find(l => l.name === p.layer)[p.key],
+            set: function(sim, p, value) {
+                sim.config.layers.find(l => l.name === p.layer)[p.key] = value;
+            },
+            check: function(checker, path, sim, p) {
+                if (!sim.config.layers.some(l => l.name === p.layer))
+                    checker.add(path + ".layer", "unknown layer " + p.layer);
+                checker.oneOf(path + ".key", p.key, ["open", "transmission"]);
+            }
+        },
+        // A setting of config.partnerships, e.g. {name: "partnerships",
+        // key: "transmission"}
+        partnerships: {
+            label: p => "partnerships:" + p.key,
+            get: (sim, p) => sim.config.partnerships[p.key],
+            set: function(sim, p, value) {
+                sim.config.partnerships[p.key] = value;
+            },
+            check: function(checker, path, sim, p) {
+                if (!sim.config.partnerships)
+                    checker.add(path, "partnerships are not configured");
+                else
+                    checker.oneOf(path + ".key", p.key,
+                                  ["formationRate", "meanDuration",
+                                   "maxPartners", "transmission"]);
+            }
+        },
+        // A rate of config.demography, e.g. {name: "demography",
+        // key: "birthRate"}
+        demography: {
+            label: p => "demography:" + p.key,
+            get: (sim, p) => sim.config.demography[p.key],
+            set: function(sim, p, value) {
+                sim.config.demography[p.key] = value;
+            },
+            check: function(checker, path, sim, p) {
+                if (!sim.config.demography)
+                    checker.add(path, "demography is not configured");
+                else
+                    checker.oneOf(path + ".key", p.key,
+                                  ["birthRate", "deathRate"]);
+            }
+        },
+        // A setting of config.testing, e.g. {name: "testing",
+        // key: "testsPerIteration"}
+        testing: {
+            label: p => "testing:" + p.key,
+            check: function(checker, path, sim, p) {
+                if (!sim.config.testing)
+                    checker.add(path, "testing is not configured");
+                else
+                    checker.oneOf(path + ".key", p.key,
+                                  Object.keys(TestingDefaults));
+            },
+            get: (sim, p) => sim.config.testing[p.key],
+            set: function(sim, p, value) {
+                sim.config.testing[p.key] = value;
+            }
+        }
+    };
+
+    EpiAgents.Parameters = Parameters;
 
-        setClusterInitialRatio(cluster, state, val) {
-            if (state in cluster.states) {
-                cluster.states[state].initialRatio = val;
-            } else {
-                throw "Error in setInitialRatio. Unknown state: " + state;
-            }
+    function parameterHandler(param) {
+        if (!(param.name in Parameters)) {
+            throw configError("name", "unknown parameter " + param.name);
         }
+        return Parameters[param.name];
+    }
 
-        setInitialRatio(state, val) {
-            this.setClusterInitialRatio(this.clusters[0], state, val);
+    function parameterLabel(param) {
+        return parameterHandler(param).label(param);
+    }
+
+    EpiAgents.parameterLabel = parameterLabel;
+
+    function getParameter(sim, param) {
+        return parameterHandler(param).get(sim, param);
+    }
+
+    EpiAgents.getParameter = getParameter;
+
+    function setParameter(sim, param, value) {
+        parameterHandler(param).set(sim, param, value);
+    }
+
+    EpiAgents.setParameter = setParameter;
+
+    /*
+      Interventions change parameters while a simulation runs. Each is
+          {
+              name: "lockdown",
+              start: 50,
+              duration: 30,
+              actions: [
+                  {name: "agentSpeed", multiply: 0.4},
+                  {name: "nextStateProb", from: "INFECTED_SYMPTOMATIC",
+                   to: "INFECTED_ISOLATED", value: 0.5}
+              ]
+          }
+      Actions are parameter descriptors (see Parameters) with either a value
+      to set or a factor to multiply by. start is the iteration on which the
+      intervention begins, or a condition on a counter such as
+          {counter: "infections", above: 0.1, relativeTo: "alive"}
+      i.e. when infections exceed 10% of the agents alive; below can be used
+      instead of above. The intervention is lifted after duration iterations,
+      or when end (an iteration or condition) is met. If repeat is true it
+      can begin again after it has been lifted.
+
+      Interventions can overlap, also on the same parameter: its value is
+      always worked out from the value it had before any of them began, by
+      applying the actions of the active interventions in the order they
+      began, i.e. factors combine and the latest value set wins. When the
+      last of them is lifted the parameter goes back to that value.
+
+      For each intervention there is a counter, e.g. intervention_lockdown,
+      that is 1 while it is active, and every beginning and end is recorded
+      in sim.interventionLog as [iteration, name, "start" or "end"].
+     */
+    function conditionMet(sim, condition) {
+        if (condition === undefined)
+            return false;
+        if (typeof condition === "number")
+            return sim.iteration >= condition;
+        let value = sim.counters[condition.counter].num;
+        if (condition.relativeTo) {
+            const total = sim.counters[condition.relativeTo].num;
+            value = total > 0 ? value / total : 0;
         }
+        if ("above" in condition)
+            return value > condition.above;
+        if ("below" in condition)
+            return value < condition.below;
+        return false;
+    }
 
-        setInitialRatios(arr) {
-            for (let cluster of this.clusters)
-                for (const parms of arr)
-                    this.setClusterInitialRatio(cluster, parms[0], parms[1]);
+    function interventionCounter(intervention) {
+        return "intervention_" + intervention.name;
+    }
+
+    // Sets a parameter to its value before any intervention with the active
+    // actions on it applied
+    function applyModifiers(sim, modifier) {
+        let value = modifier.base;
+        for (const action of modifier.actions) {
+            value = "multiply" in action ?
+                value * action.multiply : action.value;
         }
+        setParameter(sim, modifier.actions[0] || modifier.param, value);
+    }
 
-        clearClusterInitialRatio(cluster, state) {
-            this.setClusterInitialRatio(cluster, state, 0);
+    function startIntervention(sim, intervention, status) {
+        status.active = true;
+        status.start = sim.iteration;
+        for (const action of intervention.actions) {
+            const label = parameterLabel(action);
+            let modifier = sim.parameterModifiers[label];
+            if (modifier === undefined) {
+                modifier = {param: action, base: getParameter(sim, action),
+                            actions: []};
+                sim.parameterModifiers[label] = modifier;
+            }
+            modifier.actions.push(action);
+            applyModifiers(sim, modifier);
         }
+        sim.interventionLog.push([sim.iteration, intervention.name, "start"]);
+    }
 
-        ClearInitialRatio(state) {
-            this.clearClusterInitialRatio(this.clusters[0], state);
+    function endIntervention(sim, intervention, status) {
+        for (const action of intervention.actions) {
+            const label = parameterLabel(action);
+            const modifier = sim.parameterModifiers[label];
+            modifier.actions = modifier.actions.filter(a => a !== action);
+            applyModifiers(sim, modifier);
+            if (modifier.actions.length === 0)
+                delete sim.parameterModifiers[label];
         }
+        status.active = false;
+        status.done = !intervention.repeat;
+        sim.interventionLog.push([sim.iteration, intervention.name, "end"]);
+    }
 
-        clearAllInitialRatios() {
-            for (let cluster of this.clusters) {
-                for (let state in cluster.states)
-                    this.clearClusterInitialRatio(cluster, state);
+    const eventApplyInterventions = oncePerIteration(function(sim) {
+        sim.config.interventions.forEach(function(intervention, i) {
+            let status = sim.interventionStatus[i];
+            if (status.active) {
+                if ((intervention.duration !== undefined &&
+                     sim.iteration - status.start >= intervention.duration) ||
+                    conditionMet(sim, intervention.end))
+                    endIntervention(sim, intervention, status);
+            } else if (!status.done && conditionMet(sim, intervention.start)) {
+                startIntervention(sim, intervention, status);
+            }
+        });
+    });
+
+    EpiAgents.eventApplyInterventions = eventApplyInterventions;
+
+    /*
+      Vaccination campaigns. config.vaccination is a list of campaigns, each
+      like
+          {
+              name: "elderly",
+              start: 30,
+              end: 200,
+              dosesPerIteration: 10,
+              priority: "oldest",
+              clusters: ["A"],
+              attributes: {age: {min: 60}},
+              priorInfection: "exclude",
+              doses: 2,
+              interval: 21,
+              efficacy: [0.5, 0.9]
+          }
+      Only start and dosesPerIteration are required. On each iteration from
+      start until end the campaign gives up to dosesPerIteration doses,
+      second and later doses that are due first, then first doses.
+
+      Eligible for a first dose are living agents in one of states (default
+      the susceptible states), in one of clusters (default all), whose
+      attributes match (a value, a list of values or {min, max}), and, if
+      priorInfection is "exclude" or "only", who have never or have been
+      infected. Agents are dosed in order of priority:
+          random: random order (default)
+          connected: most collisions so far first
+          oldest: highest ageAttribute first (default the ageAttribute of
+              demography, or "age"), which agents must have
+          ring: only agents within ringRadius (default 20) of a case,
+              nearest first. Cases are agents in one of ringStates or, if
+              none are given, agents whose positive test was reported in the
+              last contactMemory iterations when testing is configured
+              (see eventTestAndTrace) and infectious agents when it isn't.
+
+      efficacy is the cumulative probability of protection after each dose
+      (a number for a single dose campaign). Protection is all or nothing:
+      a protected agent moves to vaccinatedState (default the state with the
+      vaccinated role). Doses are counted in the vaccine_doses (per
+      iteration) and total_vaccine_doses counters.
+     */
+    function matchesAttributes(agent, attributes) {
+        for (const key in attributes) {
+            const rule = attributes[key];
+            const value = agent.attributes[key];
+            if (value === undefined)
+                return false;
+            if (Array.isArray(rule)) {
+                if (!rule.includes(value))
+                    return false;
+            } else if (rule !== null && typeof rule === "object") {
+                if (("min" in rule && value < rule.min) ||
+                    ("max" in rule && value > rule.max))
+                    return false;
+            } else if (value !== rule) {
+                return false;
             }
         }
+        return true;
+    }
 
-        setClusterStateInfectiousness(cluster, state, val) {
-            if (state in cluster.states) {
-                cluster.states[state].infectiousness = val;
+    EpiAgents.matchesAttributes = matchesAttributes;
+
+    function everInfected(agent) {
+        return agent.states.some(
+            entry => agent.cluster.states[entry[1]] &&
+                agent.cluster.states[entry[1]].infected);
+    }
+
+    function eligibleForVaccination(sim, campaign, agent) {
+        const state = agent.getState();
+        if (state.dead || agent.travel || agent.doses.length > 0)
+            return false;
+        if (campaign.states) {
+            if (!campaign.states.includes(agent.getStateKey()))
+                return false;
+        } else if (!state.susceptible) {
+            return false;
+        }
+        if (campaign.clusters && !campaign.clusters.includes(agent.cluster.name))
+            return false;
+        if (campaign.attributes &&
+            !matchesAttributes(agent, campaign.attributes))
+            return false;
+        if (campaign.priorInfection === "exclude" && everInfected(agent))
+            return false;
+        if (campaign.priorInfection === "only" && !everInfected(agent))
+            return false;
+        return true;
+    }
+
+    // Orders agents within ringRadius of a case, nearest first
+    function ringOrder(sim, campaign, agents) {
+        const radius = campaign.ringRadius || 20;
+        const states = campaign.ringStates;
+        const testing = sim.config.testing;
+        let cells = new Map();
+        const key = (c, r) => c + "," + r;
+        for (const agent of sim.agents) {
+            const state = agent.getState();
+            let isCase;
+            if (states) {
+                isCase = states.includes(agent.getStateKey());
+            } else if (testing) {
+                isCase = agent.positiveReported !== undefined &&
+                    sim.iteration - agent.positiveReported <
+                    testing.contactMemory;
             } else {
-                throw "Error in setInfectiousness. Unknown state: " + state;
+                isCase = state.infected && state.infectiousness > 0;
             }
+            if (!isCase || state.dead || agent.travel)
+                continue;
+            const k = key(Math.floor(agent.x / radius),
+                          Math.floor(agent.y / radius));
+            if (!cells.has(k))
+                cells.set(k, []);
+            cells.get(k).push(agent);
         }
-
-        setInfectiousness(state, val) {
-            this.setClusterStateInfectiousness(this.clusters[0], state, val);
+        let ring = [];
+        for (const agent of agents) {
+            const col = Math.floor(agent.x / radius);
+            const row = Math.floor(agent.y / radius);
+            let best = Infinity;
+            for (let c = col - 1; c <= col + 1; c++) {
+                for (let r = row - 1; r <= row + 1; r++) {
+                    for (const other of cells.get(key(c, r)) || []) {
+                        best = Math.min(best, distanceSquared(
+                            agent.x, other.x, agent.y, other.y));
+                    }
+                }
+            }
+            if (best <= radius * radius)
+                ring.push([best, agent]);
         }
+        ring.sort((a, b) => a[0] - b[0]);
+        return ring.map(r => r[1]);
+    }
 
-        setClusterInfectiousnesses(cluster, arr) {
-            for (const parms of arr)
-                this.setClusterInfectiousness(cluster, parms[0], parms[1]);
-        }
+    function campaignAgeAttribute(sim, campaign) {
+        const demography = sim.config.demography;
+        return campaign.ageAttribute ||
+            (demography && demography.ageAttribute) || "age";
+    }
 
-        setInfectiousnesses(arr) {
-            for (let cluster of this.clusters)
-                this.setClusterInfectiousnesses(cluster, arr)
+    function prioritise(sim, campaign, agents) {
+        const priority = campaign.priority || "random";
+        if (priority === "ring")
+            return ringOrder(sim, campaign, agents);
+        shuffleArray(agents, sim.random);
+        if (priority === "connected") {
+            agents.sort((a, b) => b.contacts - a.contacts);
+        } else if (priority === "oldest") {
+            const age = campaignAgeAttribute(sim, campaign);
+            agents.sort((a, b) => b.attributes[age] - a.attributes[age]);
+        } else if (priority !== "random") {
+            throw configError("priority", "unknown priority " + priority);
         }
+        return agents;
+    }
 
-        clearClusterStateInfectiousness(cluster, state) {
-            this.setClusterStateInfectiousness(cluster, state, 0.0);
+    function vaccinateAgent(sim, campaign, agent) {
+        const efficacy = [].concat(ifElse(campaign.efficacy, 1.0));
+        const dose = agent.doses.length;
+        const before = dose > 0 ? efficacy[Math.min(dose, efficacy.length) - 1] :
+              0.0;
+        const after = efficacy[Math.min(dose, efficacy.length - 1)];
+        agent.doses.push([sim.iteration, campaign.name]);
+        sim.vaccineDoses[sim.iteration] =
+            (sim.vaccineDoses[sim.iteration] || 0) + 1;
+        ++sim.counters.total_vaccine_doses.num;
+        if (agent.vaccineProtected || before >= 1.0)
+            return;
+        if (sim.random() < (after - before) / (1.0 - before)) {
+            agent.vaccineProtected = true;
+            const state = campaign.vaccinatedState ||
+                  findStateWithRole(agent.cluster.states, "vaccinated");
+            if (agent.getState().susceptible && state !== undefined)
+                agent.setState(sim.iteration, state);
         }
+    }
 
-        clearClusterInfectiousness(cluster) {
-            for (const state in cluster.states) {
-                this.clearClusterStateInfectiousness(cluster, state);
+    const eventVaccinate = oncePerIteration(function(sim) {
+        for (const campaign of sim.config.vaccination) {
+            if (sim.iteration < campaign.start ||
+                (campaign.end !== undefined && sim.iteration >= campaign.end))
+                continue;
+            let budget = campaign.dosesPerIteration;
+            const doses = campaign.doses || 1;
+            const interval = campaign.interval || 0;
+            for (const agent of sim.agents) {
+                if (budget <= 0)
+                    break;
+                const n = agent.doses.length;
+                if (n > 0 && n < doses && !agent.getState().dead &&
+                    agent.doses[0][1] === campaign.name &&
+                    sim.iteration - agent.doses[n - 1][0] >= interval) {
+                    vaccinateAgent(sim, campaign, agent);
+                    --budget;
+                }
             }
+            if (budget <= 0)
+                continue;
+            const eligible = prioritise(
+                sim, campaign,
+                sim.agents.filter(a => eligibleForVaccination(sim, campaign, a)));
+            for (const agent of eligible.slice(0, budget))
+                vaccinateAgent(sim, campaign, agent);
         }
+    });
+
+    EpiAgents.eventVaccinate = eventVaccinate;
+
+    /*
+      Testing and contact tracing. config.testing is null (no testing) or
+      like
+          {
+              start: 20,
+              testsPerIteration: 20,
+              sensitivity: 0.9,
+              specificity: 0.99,
+              reportingDelay: 2,
+              states: ["INFECTED_SYMPTOMATIC"],
+              contactMemory: 7,
+              traceProbability: 0.8,
+              compliance: 0.7,
+              quarantineDuration: 14
+          }
+      with any setting left out taking its value from TestingDefaults.
+
+      On each iteration from start up to testsPerIteration agents are tested:
+      traced contacts first if testContacts is true, then agents in one of
+      states (default any state) chosen at random. Agents that are dead,
+      travelling, isolated, quarantined, immobile, in care or waiting for a
+      result aren't chosen at random, and traced contacts in care aren't
+      tested. An infected agent tests positive with probability sensitivity
+      and an uninfected agent tests negative with probability specificity.
+      The result is reported reportingDelay iterations later.
+
+      An agent whose positive result is reported isolates with probability
+      isolationCompliance. If trace is true, every agent it collided with in
+      the last contactMemory iterations is traced with probability
+      traceProbability and then isolates with probability compliance.
+      Isolating means infectious agents move to the state with the isolated
+      role and uninfected agents to the state with the quarantine role, from
+      which they go back to the state they were in after quarantineDuration
+      iterations. Agents in other states, e.g. exposed, immobile or in care,
+      stay where they are.
+
+      The tests, positive_tests (reported) and contacts_traced counters
+      count these per iteration and the total_ counters over the simulation.
+     */
+    let TestingDefaults = {
+        start: 0,
+        testsPerIteration: 10,
+        sensitivity: 1.0,
+        specificity: 1.0,
+        reportingDelay: 0,
+        states: null,
+        testContacts: true,
+        isolationCompliance: 1.0,
+        trace: true,
+        contactMemory: 7,
+        traceProbability: 1.0,
+        compliance: 1.0,
+        quarantineDuration: 14
+    };
 
-        clearAllInfectiousness(state) {
-            for (let cluster of this.clusters)
-                this.clearClusterInfectiousness(cluster);
-        }
+    EpiAgents.TestingDefaults = TestingDefaults;
+
+    // The state traced contacts quarantine in, added to clusters that have
+    // none when testing is configured
+    const QuarantineState = {
+        description: "quarantined",
+        color: "rgb(255, 165, 0)",
+        infected: false,
+        quarantine: true,
+        immobile: true,
+        print: false,
+        infectiousness: 0.0,
+        initialRatio: 0,
+        nextStateProb: {}
+    };
 
-        setClusterTransition(cluster, from_state, to_state, val) {
-            if (!from_state in cluster.states) {
-                throw "Error in setClusterTransition. Unknown from state: " +
-                    from_state;
-            }
-            if (!to_state in cluster.states) {
-                throw "Error in setClusterTransitions. Unknown to state: " +
-                    to_state;
-            }
-            cluster.states[from_state].nextStateProb[to_state] = val;
-        }
+    function addQuarantineState(cluster) {
+        const states = cluster.states;
+        if (typeof states !== "object" || states === null ||
+            findStateWithRole(states, "quarantine") !== undefined ||
+            "QUARANTINED" in states)
+            return;
+        cluster.states = {...states, QUARANTINED: deepCopy(QuarantineState)};
+    }
 
-        setClusterTransitions(cluster, arr) {
-            for (const parms of arr)
-                this.setClusterTransition(cluster, parms[0], parms[1], parms[2]);
+    const TESTING_COUNTERS = ["tests", "positive_tests", "contacts_traced"];
+
+    function countTesting(sim, key) {
+        let counts = sim.testCounts[sim.iteration];
+        if (counts === undefined) {
+            counts = {tests: 0, positive_tests: 0, contacts_traced: 0};
+            sim.testCounts[sim.iteration] = counts;
         }
+        ++counts[key];
+        ++sim.counters["total_" + key].num;
+    }
 
-        setTransitions(arr) {
-            for (const cluster of this.clusters)
-                this.setClusterTransitions(cluster, arr);
+    function recordContact(sim, agent, other) {
+        const oldest = sim.iteration - sim.config.testing.contactMemory;
+        agent.recentContacts.push([sim.iteration, other]);
+        while (agent.recentContacts.length > 0 &&
+               agent.recentContacts[0][0] <= oldest)
+            agent.recentContacts.shift();
+    }
+
+    // Whether an agent is in the community, i.e. not dead, isolated,
+    // quarantined, immobile or in care
+    function inCommunity(state) {
+        return !state.dead && !state.isolated && !state.quarantine &&
+            !state.immobile && !state.care;
+    }
+
+    function canBeTested(sim, agent) {
+        const states = sim.config.testing.states;
+        return inCommunity(agent.getState()) &&
+            !agent.travel && !agent.awaitingResult &&
+            (!states || states.includes(agent.getStateKey()));
+    }
+
+    function testAgent(sim, agent) {
+        const testing = sim.config.testing;
+        const positive = agent.getState().infected ?
+              sim.random() < testing.sensitivity :
+              sim.random() >= testing.specificity;
+        agent.tests.push([sim.iteration, positive]);
+        agent.awaitingResult = true;
+        sim.pendingTests.push({
+            agent: agent,
+            positive: positive,
+            report: sim.iteration + testing.reportingDelay
+        });
+        countTesting(sim, "tests");
+    }
+
+    function isolateAgent(sim, agent, compliance) {
+        const state = agent.getState();
+        if (!inCommunity(state) ||
+            (state.infected && !(state.infectiousness > 0)) ||
+            sim.random() >= compliance)
+            return;
+        if (state.infected) {
+            const isolated = findStrainState(agent.cluster.states, "isolated",
+                                             state.strain);
+            if (isolated !== undefined)
+                agent.setState(sim.iteration, isolated);
+        } else {
+            agent.quarantinedFrom = agent.getStateKey();
+            agent.quarantineEnd = sim.iteration +
+                sim.config.testing.quarantineDuration;
+            agent.setState(sim.iteration,
+                           findStateWithRole(agent.cluster.states,
+                                             "quarantine"));
         }
+    }
 
-        clearClusterStateTransitions(cluster, state) {
-            cluster.states[state].nextStateProb = {};
+    function traceContacts(sim, agent) {
+        const testing = sim.config.testing;
+        const oldest = sim.iteration - testing.contactMemory;
+        let traced = new Set();
+        for (const [iteration, contact] of agent.recentContacts) {
+            if (iteration <= oldest || traced.has(contact))
+                continue;
+            traced.add(contact);
+            if (contact.getState().dead ||
+                sim.random() >= testing.traceProbability)
+                continue;
+            countTesting(sim, "contacts_traced");
+            isolateAgent(sim, contact, testing.compliance);
+            if (testing.testContacts)
+                sim.testQueue.push(contact);
         }
+        agent.recentContacts = [];
+    }
 
-        clearAllClusterTransitions(cluster) {
-            for (let state in cluster.states) {
-                this.clearClusterStateTransitions(cluster, state);
+    function releaseFromQuarantine(sim) {
+        for (let agent of sim.agents) {
+            if (agent.quarantineEnd !== undefined &&
+                sim.iteration >= agent.quarantineEnd) {
+                if (agent.getState().quarantine)
+                    agent.setState(sim.iteration, agent.quarantinedFrom);
+                agent.quarantinedFrom = undefined;
+                agent.quarantineEnd = undefined;
             }
         }
+    }
 
-        clearAllTransitions() {
-            for (let cluster of this.clusters) {
-                this.clearAllClusterTransitions(cluster);
+    function reportTestResults(sim) {
+        const testing = sim.config.testing;
+        let pending = [];
+        for (const test of sim.pendingTests) {
+            if (test.report > sim.iteration) {
+                pending.push(test);
+                continue;
             }
+            test.agent.awaitingResult = false;
+            if (!test.positive)
+                continue;
+            test.agent.positiveReported = sim.iteration;
+            countTesting(sim, "positive_tests");
+            isolateAgent(sim, test.agent, testing.isolationCompliance);
+            if (testing.trace)
+                traceContacts(sim, test.agent);
         }
+        sim.pendingTests = pending;
+    }
 
-        clear() {
-            this.clearAllTransitions();
-            this.clearAllInfectiousness();
-            this.clearAllInitialRatios();
+    const eventTestAndTrace = oncePerIteration(function(sim) {
+        const testing = sim.config.testing;
+        if (!testing)
+            return;
+        releaseFromQuarantine(sim);
+        if (sim.iteration >= testing.start) {
+            let budget = testing.testsPerIteration;
+            let queue = [];
+            for (const agent of sim.testQueue) {
+                const state = agent.getState();
+                if (agent.awaitingResult || state.dead || state.care)
+                    continue;
+                if (budget > 0) {
+                    testAgent(sim, agent);
+                    --budget;
+                } else {
+                    queue.push(agent);
+                }
+            }
+            sim.testQueue = queue;
+            if (budget > 0) {
+                let eligible = sim.agents.filter(a => canBeTested(sim, a));
+                shuffleArray(eligible, sim.random);
+                for (const agent of eligible.slice(0, budget))
+                    testAgent(sim, agent);
+            }
         }
-
-        runEvents(events) {
-            for (let event of events) event(this);
+        reportTestResults(sim);
+    });
+
+    EpiAgents.eventTestAndTrace = eventTestAndTrace;
+
+    /*
+      Runs a simulation for every point on the grid of one or two parameters
+      and records outcome metrics. A parameter is a descriptor (see
+      Parameters), e.g.
+          {name: "infectiousness", state: "INFECTED_SYMPTOMATIC", ...}
+      with either its values listed, e.g. values: [0.1, 0.2], or a range, e.g.
+      min: 0.1, max: 0.5, steps: 5. numAgents is set on every cluster.
+
+      Each point is run replicates times and its metrics are the means over
+      the replicates. Every point uses the same replicate seeds, so that
+      differences between points are due to the parameters and not chance.
+     */
+    class Sweep {
+        constructor(options, parameters, replicates=1,
+                    metrics=Object.keys(SweepMetrics)) {
+            if (parameters.length < 1 || parameters.length > 2) {
+                throw configError("parameters",
+                                  "one or two parameters required");
+            }
+            this.config = {
+                seed: ifElse(options.seed, makeSeed()),
+                parameters: deepCopy(parameters),
+                replicates: replicates,
+                metrics: metrics,
+                options: headlessOptions(options)
+            };
+            this.values = parameters.map(
+                p => p.values || linspace(p.min, p.max, p.steps || 5));
+            const random = makeRandom(this.config.seed);
+            this.seeds = [];
+            for (let i = 0; i < replicates; i++) {
+                this.seeds.push(Math.floor(random() * 4294967296));
+            }
+            this.points = [];
+            this.results = [];
         }
 
-        beforeIteration() {
-            this.eventPhase = EventPhase.BEFORE;
-            for (let cluster of this.clusters)
-                this.runEvents(cluster.beforeEvents);
-        };
-
-        oneIteration() {
-            this.eventPhase = EventPhase.DURING;
-            for (let cluster of this.clusters)
-                this.runEvents(cluster.duringEvents);
-            ++this.iteration;
-            if (this.config.maxIterations > 0 &&
-                this.iteration % this.config.maxIterations === 0) {
-                this.stop();
+        runPoint(values) {
+            const parameters = this.config.parameters;
+            let metrics = {};
+            for (const metric of this.config.metrics)
+                metrics[metric] = 0.0;
+            for (const seed of this.seeds) {
+                let options = deepCopy(this.config.options);
+                options.seed = seed;
+                const sim = runSimulation(options, function(sim) {
+                    parameters.forEach(function(param, i) {
+                        setParameter(sim, param, values[i]);
+                    });
+                });
+                for (const metric of this.config.metrics) {
+                    metrics[metric] += SweepMetrics[metric](sim.results, sim) /
+                        this.seeds.length;
+                }
             }
+            const point = {
+                values: values,
+                metrics: metrics
+            };
+            this.points.push(point);
+            return point;
         }
 
-        afterIteration() {
-            this.eventPhase = EventPhase.AFTER;
-            for (let cluster of this.clusters)
-                this.runEvents(cluster.afterEvents);
-        };
-
-        step() {
-            if (this.state != SimulationPhase.PLAYING) {
-                if (this.iteration === 0)
-                    this.beforeIteration();
-                this.oneIteration();
+        run() {
+            this.points = [];
+            const second = this.values.length > 1 ? this.values[1] : [undefined];
+            for (const x of this.values[0]) {
+                for (const y of second) {
+                    this.runPoint(y === undefined ? [x] : [x, y]);
+                }
             }
+            this.recordResults();
         }
 
-        play() {
-            if (this.state != SimulationPhase.PLAYING) {
-                this.state = SimulationPhase.PLAYING;
-                let sim = this;
-                if (this.iteration === 0)
-                    this.beforeIteration();
-                this.timer = setInterval(function() {
-                    sim.oneIteration();
-                }, this.config.interval);
+        recordResults() {
+            this.results = [
+                this.config.parameters.map(parameterLabel).
+                    concat(this.config.metrics)
+            ];
+            for (const point of this.points) {
+                this.results.push(point.values.concat(
+                    this.config.metrics.map(m => round(point.metrics[m], 4))));
             }
         }
+    }
 
-        pause() {
-            if (this.state != SimulationPhase.PAUSED) {
-                this.state = SimulationPhase.PAUSED;
-                clearInterval(this.timer);
-                this.timer = undefined;
-            }
+    EpiAgents.Sweep = Sweep;
+
+    EpiAgents.createSweep = function(options, parameters, replicates=1,
+                                     metrics=Object.keys(SweepMetrics)) {
+        return new Sweep(options, parameters, replicates, metrics);
+    }
+
+    /*
+      Finds the parameter values that best reproduce observed data. spec is
+      e.g.
+          {
+              observed: [
+                  {counter: "total_simulation_infections",
+                   aggregate: "difference", interval: 7,
+                   values: [12, 30, 41, 35]},
+                  {counter: "DEAD", interval: 7, values: [0, 1, 3, 4]}
+              ],
+              parameters: [
+                  {name: "infectiousness", state: "INFECTED_SYMPTOMATIC",
+                   min: 0.0, max: 1.0},
+                  {name: "nextStateProb", from: "INFECTED_ICU", to: "DEAD",
+                   min: 0.0, max: 0.2,
+                   prior: {distribution: "normal", mean: 0.05, stdev: 0.02}}
+              ],
+              method: "nelder-mead"
+          }
+
+      Observation k of a series is compared with the counter after start +
+      (k + 1) x interval iterations (start defaults to 0 and interval to 1):
+      its value then (aggregate "value", the default), its increase over the
+      interval ("difference", e.g. for weekly incidence from a total_
+      counter) or its sum over the interval ("sum", for counters of each
+      iteration). The distance between a run and the data is the sum over
+      series of weight (default 1) x the sum of squared errors.
+
+      Parameters are descriptors (see Parameters) with bounds min and max
+      and a prior, uniform between the bounds unless it is {distribution:
+      "normal", mean, stdev}, truncated to the bounds. Each evaluation runs
+      replicates (default 1) simulations with the same seeds, so that the
+      distance depends only on the parameters, and compares their mean with
+      the data.
+
+      method "nelder-mead" (the default) minimises the distance with the
+      Nelder-Mead simplex method from initial (by default the mean of the
+      prior), stopping after maxEvaluations (default 100) evaluations or,
+      once it has made minIterations (default 10) steps, when the distances
+      of the simplex are within tolerance (default 1e-4) of each other
+      relatively. converged is false if it ran out of evaluations or every
+      evaluation had the same distance, e.g. when all the runs died out, as
+      the best values then say little. method "abc" is rejection approximate
+      Bayesian computation: it evaluates samples (default 200) draws from
+      the priors and accepts those within distance epsilon or, if epsilon
+      isn't given, the acceptance (default 0.1) fraction closest to the
+      data. The accepted values are the posterior sample.
+
+      After run, best holds the closest evaluation, posterior the accepted
+      values, results a row for every evaluation, fit the observed and
+      best fitted values and summary the best value of each parameter and
+      the mean and 95% interval of its posterior.
+     */
+    let CalibrationDefaults = {
+        observed: [],
+        parameters: [],
+        method: "nelder-mead",
+        replicates: 1,
+        maxEvaluations: 100,
+        minIterations: 10,
+        tolerance: 1e-4,
+        samples: 200,
+        acceptance: 0.1,
+        epsilon: undefined,
+        seed: undefined
+    };
+
+    EpiAgents.CalibrationDefaults = CalibrationDefaults;
+
+    const OBSERVED_KEYS = ["counter", "values", "interval", "start",
+                           "aggregate", "weight"];
+
+    function checkCalibration(spec, sim) {
+        let checker = new ConfigChecker();
+        checker.keys("calibration", spec, Object.keys(CalibrationDefaults));
+        checker.oneOf("calibration.method", spec.method,
+                      ["nelder-mead", "abc"]);
+        checker.count("calibration.replicates", spec.replicates, 1);
+        checker.count("calibration.maxEvaluations", spec.maxEvaluations, 1);
+        checker.count("calibration.minIterations", spec.minIterations);
+        checker.number("calibration.tolerance", spec.tolerance, 0);
+        checker.count("calibration.samples", spec.samples, 1);
+        checker.probability("calibration.acceptance", spec.acceptance);
+        if (spec.epsilon !== undefined)
+            checker.number("calibration.epsilon", spec.epsilon, 0);
+        if (checker.array("calibration.observed", spec.observed)) {
+            if (spec.observed.length === 0)
+                checker.add("calibration.observed", "must not be empty");
+            spec.observed.forEach(function(observed, i) {
+                const path = "calibration.observed[" + i + "]";
+                if (!checker.object(path, observed))
+                    return;
+                checker.keys(path, observed, OBSERVED_KEYS);
+                if (!(observed.counter in sim.counters))
+                    checker.add(path + ".counter", "unknown counter " +
+                                observed.counter);
+                if (checker.array(path + ".values", observed.values)) {
+                    observed.values.forEach(
+                        (v, k) => checker.number(path + ".values[" + k + "]",
+                                                 v));
+                }
+                if (observed.interval !== undefined)
+                    checker.count(path + ".interval", observed.interval, 1);
+                if (observed.start !== undefined)
+                    checker.count(path + ".start", observed.start);
+                if (observed.aggregate !== undefined)
+                    checker.oneOf(path + ".aggregate", observed.aggregate,
+                                  ["value", "difference", "sum"]);
+                if (observed.weight !== undefined)
+                    checker.number(path + ".weight", observed.weight, 0);
+            });
+        }
+        if (checker.array("calibration.parameters", spec.parameters)) {
+            if (spec.parameters.length === 0)
+                checker.add("calibration.parameters", "must not be empty");
+            spec.parameters.forEach(function(param, i) {
+                const path = "calibration.parameters[" + i + "]";
+                if (!checker.object(path, param))
+                    return;
+                if (!(param.name in Parameters)) {
+                    checker.add(path + ".name", "unknown parameter " +
+                                param.name);
+                    return;
+                }
+                if (Parameters[param.name].check)
+                    Parameters[param.name].check(checker, path, sim, param);
+                if (checker.number(path + ".min", param.min))
+                    checker.number(path + ".max", param.max, param.min);
+                if (param.initial !== undefined)
+                    checker.number(path + ".initial", param.initial,
+                                   param.min, param.max);
+                if (param.prior !== undefined &&
+                    checker.object(path + ".prior", param.prior)) {
+                    checker.oneOf(path + ".prior.distribution",
+                                  param.prior.distribution, ["normal"]);
+                    checker.number(path + ".prior.mean", param.prior.mean);
+                    checker.number(path + ".prior.stdev", param.prior.stdev, 0);
+                }
+            });
         }
+        return checker.problems;
+    }
 
-        stop() {
-            this.pause();
-            this.afterIteration();
+    function samplePrior(param, random) {
+        if (!param.prior)
+            return param.min + random() * (param.max - param.min);
+        // Truncated to the bounds by rejection, clamped if that fails
+        let value;
+        for (let i = 0; i < 100; i++) {
+            value = param.prior.mean + param.prior.stdev * normal(random);
+            if (value >= param.min && value <= param.max)
+                return value;
         }
+        return Math.min(param.max, Math.max(param.min, value));
+    }
 
-        generateAgents(numAgents, cluster) {
-            for (let i = 0; i < numAgents; i++) {
-                this.agents.push(new Agent(this, cluster));
+    function initialValue(param) {
+        if (param.initial !== undefined)
+            return param.initial;
+        if (param.prior)
+            return Math.min(param.max, Math.max(param.min, param.prior.mean));
+        return (param.min + param.max) / 2.0;
+    }
+
+    // The values of a counter to compare with each observation
+    function calibrationSeries(results, observed) {
+        const col = results[0].indexOf(observed.counter);
+        // values[j] is the counter after j iterations: the "S" row, then the
+        // rows labelled j - 1. With several clusters there is a row per
+        // cluster for each iteration and the last has the whole iteration.
+        let values = [];
+        for (const row of results.slice(1)) {
+            if (row[0] === "S")
+                values[0] = row[col];
+            else if (row[0] !== "E")
+                values[row[0] + 1] = row[col];
+        }
+        const interval = observed.interval || 1;
+        return observed.values.map(function(v, k) {
+            const end = (observed.start || 0) + (k + 1) * interval;
+            if (observed.aggregate === "difference")
+                return values[end] - values[end - interval];
+            if (observed.aggregate === "sum") {
+                let total = 0;
+                for (let j = end - interval + 1; j <= end; j++)
+                    total += values[j];
+                return total;
             }
-            //this.config.numAgents = this.agents.length;
+            return values[end];
+        });
+    }
+
+    class Calibration {
+        constructor(options, spec) {
+            spec = {...CalibrationDefaults, ...spec};
+            const sim = EpiAgents.create(headlessOptions(options));
+            const problems = checkCalibration(spec, sim);
+            if (problems.length > 0)
+                throw new EpiAgentsConfigError(problems);
+            this.config = {
+                ...spec,
+                seed: ifElse(spec.seed, ifElse(options.seed, makeSeed())),
+                parameters: deepCopy(spec.parameters),
+                observed: deepCopy(spec.observed),
+                options: headlessOptions(options)
+            };
+            // Just long enough for the last observation
+            this.config.options.maxIterations = Math.max(
+                ...spec.observed.map(o => (o.start || 0) +
+                                     o.values.length * (o.interval || 1)));
+            this.random = makeRandom(this.config.seed);
+            this.seeds = [];
+            for (let i = 0; i < this.config.replicates; i++) {
+                this.seeds.push(Math.floor(this.random() * 4294967296));
+            }
+            this.evaluations = [];
+            this.best = undefined;
+            this.converged = undefined;
+            this.posterior = [];
+            this.results = [];
+            this.fit = [];
+            this.summary = [];
         }
 
-        calcInitialRatios() {
-            for (let cluster of this.clusters) {
-                let total = 0.0;
-                for (const state in cluster.states) {
-                    total += parseFloat(cluster.states[state].initialRatio);
-                }
-                let cumulative = 0.0;
-                for (let state in cluster.states) {
-                    let r = cluster.states[state].initialRatio / total;
-                    cluster.states[state]["initial_proportion"] = cumulative + r;
-                    cumulative += r;
-                }
+        evaluate(values) {
+            const parameters = this.config.parameters;
+            const observed = this.config.observed;
+            let fitted = observed.map(o => o.values.map(v => 0.0));
+            for (const seed of this.seeds) {
+                let options = deepCopy(this.config.options);
+                options.seed = seed;
+                const sim = runSimulation(options, function(sim) {
+                    parameters.forEach(function(param, i) {
+                        setParameter(sim, param, values[i]);
+                    });
+                });
+                observed.forEach(function(o, i) {
+                    calibrationSeries(sim.results, o).forEach(
+                        (v, k) => fitted[i][k] += v / this.seeds.length);
+                }, this);
             }
+            let distance = 0.0;
+            observed.forEach(function(o, i) {
+                let sse = 0.0;
+                o.values.forEach(
+                    (v, k) => sse += Math.pow(fitted[i][k] - Number(v), 2));
+                distance += ifElse(o.weight, 1.0) * sse;
+            });
+            const evaluation = {
+                values: values,
+                distance: distance,
+                fitted: fitted
+            };
+            this.evaluations.push(evaluation);
+            return evaluation;
         }
 
-        calcInitialStates(from = 0, to) {
-            if (to === undefined) {
-                to = this.agents.length;
+        // Nelder-Mead on the parameters scaled to [0, 1]
+        nelderMead() {
+            const parameters = this.config.parameters;
+            const n = parameters.length;
+            const evaluate = u => this.evaluate(u.map(
+                (x, i) => parameters[i].min + Math.min(1.0, Math.max(0.0, x)) *
+                    (parameters[i].max - parameters[i].min))).distance;
+            const towards = (a, b, s) => a.map((x, i) => x + s * (b[i] - x));
+            const start = parameters.map(p => p.max > p.min ?
+                                         (initialValue(p) - p.min) /
+                                         (p.max - p.min) : 0.0);
+            // The initial simplex spans a quarter of each range, as runs are
+            // too noisy for small steps to tell apart
+            let simplex = [start];
+            for (let i = 0; i < n; i++) {
+                let vertex = start.slice();
+                vertex[i] += vertex[i] < 0.75 ? 0.25 : -0.25;
+                simplex.push(vertex);
             }
-            for (let i = from; i < to; i++) {
-                let agent = this.agents[i];
-                let r = Math.random();
-                for (const state in agent.cluster.states) {
-                    if (r < agent.cluster.states[state].initial_proportion) {
-                        agent.states.push(["S", state]);
-                        if (agent.cluster.states[state].infected)
-                            ++this.counters.total_initial_infections.num;
-                        break;
+            let scores = simplex.map(evaluate);
+            this.converged = false;
+            // A simplex whose distances are equal from the start, e.g. as
+            // no run took off, isn't converged: it is searched further for
+            // minIterations steps
+            for (let iteration = 0;
+                 this.evaluations.length < this.config.maxEvaluations;
+                 iteration++) {
+                const order = scores.map((s, i) => i).
+                      sort((a, b) => scores[a] - scores[b]);
+                simplex = order.map(i => simplex[i]);
+                scores = order.map(i => scores[i]);
+                if (iteration >= this.config.minIterations &&
+                    scores[n] - scores[0] <= this.config.tolerance *
+                    (Math.abs(scores[0]) + this.config.tolerance)) {
+                    this.converged = this.evaluations.some(
+                        e => e.distance !== this.evaluations[0].distance);
+                    break;
+                }
+                let centroid = start.map(x => 0.0);
+                for (let i = 0; i < n; i++)
+                    centroid = centroid.map((x, j) => x + simplex[i][j] / n);
+                const worst = simplex[n];
+                const reflected = towards(worst, centroid, 2.0);
+                const fr = evaluate(reflected);
+                if (fr < scores[0]) {
+                    const expanded = towards(worst, centroid, 3.0);
+                    const fe = evaluate(expanded);
+                    [simplex[n], scores[n]] = fe < fr ? [expanded, fe] :
+                        [reflected, fr];
+                } else if (fr < scores[n - 1]) {
+                    [simplex[n], scores[n]] = [reflected, fr];
+                } else {
+                    const contracted = fr < scores[n] ?
+                          towards(centroid, reflected, 0.5) :
+                          towards(centroid, worst, 0.5);
+                    const fc = evaluate(contracted);
+                    if (fc < Math.min(fr, scores[n])) {
+                        [simplex[n], scores[n]] = [contracted, fc];
+                    } else {
+                        for (let i = 1; i <= n; i++) {
+                            simplex[i] = towards(simplex[0], simplex[i], 0.5);
+                            scores[i] = evaluate(simplex[i]);
+                        }
                     }
                 }
             }
         }
 
-        createAgents() {
-            this.agents = [];
-            for (const cluster of this.clusters) {
-                this.generateAgents(cluster.numAgents, cluster);
+        // Rejection approximate Bayesian computation
+        abc() {
+            const parameters = this.config.parameters;
+            for (let i = 0; i < this.config.samples; i++)
+                this.evaluate(parameters.map(p => samplePrior(p, this.random)));
+            let sorted = this.evaluations.slice().
+                sort((a, b) => a.distance - b.distance);
+            if (this.config.epsilon !== undefined) {
+                sorted = sorted.filter(e => e.distance <= this.config.epsilon);
+            } else {
+                sorted = sorted.slice(0, Math.max(1, Math.round(
+                    this.config.acceptance * sorted.length)));
             }
+            this.posterior = sorted.map(e => e.values);
         }
 
-        removeAgents(n) {
-            for (let i = 0; i < n; i++) {
-                this.agents.pop();
-            }
-            //this.config.numAgents = this.agents.length;
+        run() {
+            this.evaluations = [];
+            this.converged = undefined;
+            this.posterior = [];
+            if (this.config.method === "abc")
+                this.abc();
+            else
+                this.nelderMead();
+            this.best = this.evaluations.reduce(
+                (best, e) => e.distance < best.distance ? e : best);
+            this.recordResults();
         }
 
-        initialize() {
-            this.createAgents();
-            this.calcInitialRatios();
-            this.calcInitialStates();
-            eventCalcResults(this);
+        recordResults() {
+            const labels = this.config.parameters.map(parameterLabel);
+            this.results = [labels.concat(["distance"])];
+            for (const e of this.evaluations)
+                this.results.push(e.values.concat([round(e.distance, 4)]));
+
+            this.fit = [["counter", "iteration", "observed", "fitted"]];
+            this.config.observed.forEach(function(o, i) {
+                o.values.forEach(function(v, k) {
+                    this.fit.push([o.counter, (o.start || 0) +
+                                   (k + 1) * (o.interval || 1), v,
+                                   round(this.best.fitted[i][k], 4)]);
+                }, this);
+            }, this);
+
+            this.summary = [["parameter", "best", "posterior_mean",
+                             "posterior_p2.5", "posterior_p97.5"]];
+            labels.forEach(function(label, i) {
+                let row = [label, this.best.values[i]];
+                if (this.posterior.length > 0) {
+                    const values = this.posterior.map(v => v[i]).
+                          sort((a, b) => a - b);
+                    row.push(values.reduce((a, b) => a + b, 0) / values.length,
+                             percentile(values, 2.5),
+                             percentile(values, 97.5));
+                }
+                this.summary.push(row);
+            }, this);
         }
-
     }
 
-    EpiAgents.create = function(options={}) {
-        let sim = new Simulation(options);
-        return sim;
-    }
+    EpiAgents.Calibration = Calibration;
 
-    EpiAgents.Simulation = Simulation;
+    EpiAgents.createCalibration = function(options, spec) {
+        return new Calibration(options, spec);
+    }
 
-} (window.EpiAgents = window.EpiAgents || {}));
+} (typeof module === "object" && module.exports ? module.exports :
+   (window.EpiAgents = window.EpiAgents || {})));
 
 
 
@@ -879,6 +5153,10 @@
         }
     };
 
+    // Options used by the user interface rather than the simulation
+    const UI_OPTION_KEYS = ["auto_play", "init", "chart_options", "ensemble",
+                            "plotRt", "compare"];
+
     let ui_elements = {};
 
     EpiAgentsUI.ui_elements = ui_elements;
@@ -914,14 +5192,23 @@
         const div_height = sim_div.clientHeight;
     }
 
+    // Number of iterations for which an agent that has migrated is outlined
+    // in the border colour of the cluster it came from.
+    const MIGRATION_HIGHLIGHT = 20;
+
     function drawAgent(agent)
     {
-        if (agent.getStateKey() !== "DEAD") {
+        if (!agent.getState().dead && !agent.travel) {
             let ctx = agent.sim.ctx;
             ctx.beginPath();
             ctx.arc(agent.x, agent.y, agent.radius, 0, Math.PI*2);
             ctx.fillStyle = agent.getState().color;
                 ctx.fill();
+            if (agent.lastTravel && agent.sim.iteration -
+                agent.lastTravel.arrival < MIGRATION_HIGHLIGHT) {
+                ctx.strokeStyle = agent.lastTravel.from.borderColor;
+                ctx.stroke();
+            }
             ctx.closePath();
         }
     }
@@ -954,51 +5241,336 @@
         }
     }
 
-    function createGraph(elem, sim)
+    // The counters plotted on the chart: the infections counter, in the colour
+    // of the most infectious state, the number infected with each strain,
+    // every other printed state that isn't dead and, if plotRt is set, the
+    // reproduction number on its own axis.
+    function graphSeries(sim)
     {
-        const labels = [
-            [sim.iteration]
-        ];
-        const data = {
-            labels: labels,
-            datasets: [
+        const states = sim.clusters[0].states;
+        const strains = sim.config.strains;
+        let infectedColor;
+        let infectiousness = -1.0;
+        for (const state in states) {
+            if (states[state].infected && (strains.length === 0 ||
+                                           states[state].strain ===
+                                           strains[0].name) &&
+                states[state].infectiousness > infectiousness) {
+                infectiousness = states[state].infectiousness;
+                infectedColor = states[state].color;
+            }
+        }
+        let series = [];
+        for (const state in states) {
+            if (states[state].infected) {
+                if (!series.some(s => s.counter === "infections")) {
+                    series.push({
+                        label: "infected",
+                        color: infectedColor,
+                        counter: "infections"
+                    });
+                    for (const strain of strains) {
+                        const entry = EpiAgents.findStrainState(
+                            states, "infectionEntry", strain.name);
+                        series.push({
+                            label: "infected (" + strain.name + ")",
+                            color: strain.color || states[entry].color,
+                            counter: strain.name + "_infected"
+                        });
+                    }
+                }
+            } else if (!states[state].dead &&
+                       states[state].print !== false) {
+                series.push({
+                    label: states[state].description,
+                    color: states[state].color,
+                    counter: state
+                });
+            }
+        }
+        if (sim.plot_rt) {
+            series.push({
+                label: "Rt (Cori)",
+                color: "rgb(128, 0, 128)",
+                counter: "rt_cori",
+                axis: "rt"
+            });
+        }
+        return series;
+    }
+
+    EpiAgentsUI.graphSeries = graphSeries;
+
+    function transparent(color, alpha)
+    {
+        return color.replace("rgb(", "rgba(").replace(")", ", " + alpha + ")");
+    }
+
+    /* Each series of an ensemble is drawn as a dashed median line inside a
+       band spanning the ensemble's lowest to highest percentile.
+     */
+    function ensembleDatasets(series, ensemble)
+    {
+        const percentiles = ensemble.config.percentiles;
+        const low = percentiles[0];
+        const high = percentiles[percentiles.length - 1];
+        let datasets = [];
+        for (const s of series) {
+            const stat = ensemble.stats[s.counter];
+            datasets.push(
                 {
-                    label: sim.clusters[0].states.SUSCEPTIBLE.description,
-                    backgroundColor: sim.clusters[0].states.SUSCEPTIBLE.color,
-                    borderColor: sim.clusters[0].states.SUSCEPTIBLE.color,
-                    data: [sim.counters["SUSCEPTIBLE"].num],
+                    label: s.label + " (" + low + "%)",
+                    borderColor: transparent(s.color, 0.0),
+                    backgroundColor: transparent(s.color, 0.0),
+                    pointRadius: 0,
+                    yAxisID: s.axis || "y",
+                    fill: false,
+                    data: stat.percentiles[low],
                 },
                 {
-                    label: 'infected',
-                    backgroundColor: sim.clusters[0].states.
-                        INFECTED_SYMPTOMATIC.color,
-                    borderColor: sim.clusters[0].states.INFECTED_SYMPTOMATIC.color,
-                    data: [sim.counters.infections.num],
+                    label: s.label + " (" + high + "%)",
+                    borderColor: transparent(s.color, 0.0),
+                    backgroundColor: transparent(s.color, 0.2),
+                    pointRadius: 0,
+                    yAxisID: s.axis || "y",
+                    fill: "-1",
+                    data: stat.percentiles[high],
                 },
                 {
-                    label: sim.clusters[0].states.RECOVERED.description,
-                    backgroundColor: sim.clusters[0].states.RECOVERED.color,
-                    borderColor: sim.clusters[0].states.RECOVERED.color,
-                    data: [sim.counters.RECOVERED.num],
+                    label: s.label + " (median)",
+                    borderColor: s.color,
+                    backgroundColor: s.color,
+                    borderDash: [5, 5],
+                    pointRadius: 0,
+                    yAxisID: s.axis || "y",
+                    fill: false,
+                    data: stat.median,
+                });
+        }
+        return datasets;
+    }
+
+    // Chart.js plugin that marks the start (solid) and end (dashed) of each
+    // intervention with a vertical line.
+    function interventionMarkers(sim)
+    {
+        return {
+            id: "epiInterventions",
+            afterDatasetsDraw: function(chart) {
+                const ctx = chart.ctx;
+                const area = chart.chartArea;
+                ctx.save();
+                ctx.font = "10px sans-serif";
+                ctx.strokeStyle = "rgba(0, 0, 0, 0.5)";
+                ctx.fillStyle = "black";
+                for (const [iteration, name, phase] of sim.interventionLog) {
+                    const index = chart.data.labels.indexOf(iteration);
+                    if (index < 0)
+                        continue;
+                    const x = chart.scales.x.getPixelForValue(index);
+                    ctx.setLineDash(phase === "start" ? [] : [4, 4]);
+                    ctx.beginPath();
+                    ctx.moveTo(x, area.top);
+                    ctx.lineTo(x, area.bottom);
+                    ctx.stroke();
+                    ctx.fillText(name + " " + phase, x + 2, area.top + 10);
                 }
-            ]
+                ctx.restore();
+            }
+        };
+    }
+
+    /*
+      With the compare option, e.g. compare: {beta: 0.4}, the compartmental
+      model of the same configuration (see epimacro.js, which must be loaded
+      too) runs in lockstep with the simulation. Its curves are drawn dashed
+      over the simulation's and, when the simulation stops, the differences
+      in the peak number infected, the iteration of the peak and the final
+      size (everyone ever infected) are shown below the chart. compare holds
+      options of the model, chiefly beta, the effective contacts per
+      iteration, which the movement of the agents doesn't determine; true
+      uses the model's defaults. Only the series the model computes are
+      drawn, and when a parameter is changed the model is run again from the
+      start with the new values.
+     */
+    function createComparison(sim, compare)
+    {
+        if (typeof EpiMacro === "undefined")
+            throw new Error("The compare option needs epimacro.js");
+        return EpiMacro.create({
+            ...EpiAgents.headlessOptions(sim.config),
+            ...(compare === true ? {} : compare)
+        });
+    }
+
+    // Steps the compartmental model to the simulation's iteration and
+    // returns its latest results
+    function stepComparison(sim)
+    {
+        while (sim.compare.iteration <= sim.iteration)
+            sim.compare.step();
+        return sim.compare.results[sim.compare.results.length - 1];
+    }
+
+    function comparisonDatasets(series, model)
+    {
+        const header = model.results[0];
+        const rows = model.results.slice(1).filter(row => row[0] !== "E");
+        const computed = series.filter(
+            s => !s.axis && model.computes(s.counter));
+        return computed.map(function(s) {
+            const col = header.indexOf(s.counter);
+            return {
+                label: s.label + " (compartmental)",
+                borderColor: s.color,
+                backgroundColor: s.color,
+                borderDash: [5, 5],
+                pointRadius: 0,
+                fill: false,
+                yAxisID: "y",
+                data: rows.map(row => row[col]),
+                compareColumn: col
+            };
+        });
+    }
+
+    // Recreates the compartmental model after a parameter has changed and
+    // redraws its curves up to the simulation's iteration
+    function refreshComparison(sim)
+    {
+        try {
+            sim.compare = createComparison(sim, sim.compare_options);
+        } catch (e) {
+            // Keep the old model while the parameters are invalid
+            if (e instanceof EpiAgents.EpiAgentsConfigError)
+                return;
+            throw e;
+        }
+        let datasets = sim.chart.data.datasets.filter(
+            dataset => dataset.compareColumn !== undefined);
+        if (datasets.length === 0)
+            return;
+        const length = datasets[0].data.length;
+        while (sim.compare.results.length - 1 < length)
+            sim.compare.step();
+        const rows = sim.compare.results.slice(1, length + 1);
+        for (let dataset of datasets)
+            dataset.data = rows.map(row => row[dataset.compareColumn]);
+        sim.chart.update();
+    }
+
+    function epidemicSummary(results)
+    {
+        const header = results[0];
+        const rows = results.slice(1).filter(row => row[0] !== "E");
+        const infections = header.indexOf("infections");
+        let peak = rows[0];
+        for (const row of rows) {
+            if (row[infections] > peak[infections])
+                peak = row;
+        }
+        const last = rows[rows.length - 1];
+        return {
+            peak: peak[infections],
+            // The peak may be before the first iteration, i.e. at the start
+            peakIteration: Number(peak[0]) || 0,
+            finalSize: last[header.indexOf("total_initial_infections")] +
+                last[header.indexOf("total_simulation_infections")]
+        };
+    }
+
+    function showComparison(sim)
+    {
+        if (!sim.compare)
+            return;
+        const agents = epidemicSummary(sim.results);
+        const model = epidemicSummary(sim.compare.results);
+        let output = "<table class='epi-comparison-table'><tr><th></th>" +
+            "<th>Agent-based</th><th>Compartmental</th><th>Difference</th></tr>";
+        for (const [label, key] of [["Peak infected", "peak"],
+                                    ["Peak iteration", "peakIteration"],
+                                    ["Final size", "finalSize"]]) {
+            output += "<tr><td>" + label + "</td><td>" + agents[key] +
+                "</td><td>" + EpiAgents.round(model[key], 1) + "</td><td>" +
+                EpiAgents.round(agents[key] - model[key], 1) + "</td></tr>";
+        }
+        output += "</table>";
+        ui_elements[sim.div_id].comparison.innerHTML = output;
+    }
+
+    EpiAgentsUI.showComparison = showComparison;
+
+    function createGraph(elem, sim, ensemble)
+    {
+        const series = graphSeries(sim);
+        const header = sim.results[0];
+        const rows = sim.results.slice(1).filter(row => row[0] !== "E");
+        let labels = rows.map(row => row[0]);
+        let datasets = series.map(function(s) {
+            const col = header.indexOf(s.counter);
+            return {
+                label: s.label,
+                backgroundColor: s.color,
+                borderColor: s.color,
+                yAxisID: s.axis || "y",
+                data: rows.map(row => row[col]),
+            };
+        });
+        if (ensemble) {
+            const ensembleLabels = ensemble.labels.filter(l => l !== "E");
+            if (ensembleLabels.length > labels.length)
+                labels = ensembleLabels;
+            datasets = datasets.concat(ensembleDatasets(series, ensemble));
+        }
+        if (sim.compare)
+            datasets = datasets.concat(comparisonDatasets(series, sim.compare));
+        const data = {
+            labels: labels,
+            datasets: datasets
         };
+        let options = sim.chart_options;
+        if (series.some(s => s.axis === "rt")) {
+            options = {
+                ...options,
+                scales: {
+                    y: {position: "left"},
+                    rt: {
+                        position: "right",
+                        min: 0,
+                        grid: {drawOnChartArea: false},
+                        title: {display: true, text: "Rt"}
+                    }
+                }
+            };
+        }
         const config = {
             type: 'line',
             data,
-            options: sim.chart_options
+            options: options,
+            plugins: [interventionMarkers(sim)]
         };
         let chart = new Chart(elem, config);
         return chart;
     }
 
+    EpiAgentsUI.createGraph = createGraph;
+
     function updateGraph(sim)
     {
         let chart = sim.chart;
-        chart.data.labels.push(sim.iteration);
-        chart.data.datasets[0].data.push(sim.counters.SUSCEPTIBLE.num);
-        chart.data.datasets[1].data.push(sim.counters.infections.num);
-        chart.data.datasets[2].data.push(sim.counters.RECOVERED.num);
+        const series = graphSeries(sim);
+        series.forEach(function(s, i) {
+            chart.data.datasets[i].data.push(sim.counters[s.counter].num);
+        });
+        if (sim.compare) {
+            const row = stepComparison(sim);
+            for (let dataset of chart.data.datasets) {
+                if (dataset.compareColumn !== undefined)
+                    dataset.data.push(row[dataset.compareColumn]);
+            }
+        }
+        if (chart.data.datasets[0].data.length > chart.data.labels.length)
+            chart.data.labels.push(sim.iteration);
         chart.update();
     }
 
@@ -1015,8 +5587,8 @@
         for (let stat in sim.counters) {
             if (sim.counters[stat].print) {
                 let cell = row.insertCell(-1);
-                if (stat in EpiAgents.SimulationStates)
-                    cell.innerHTML = EpiAgents.SimulationStates[stat].description;
+                if (stat in sim.clusters[0].states)
+                    cell.innerHTML = sim.clusters[0].states[stat].description;
                 else
                     cell.innerHTML = stat.replace(/_/g, ' ');
             }
@@ -1079,6 +5651,10 @@
         chart_holder.append(chart_min_max);
         chart_holder.append(chart);
 
+        let comparison = document.createElement("div");
+        comparison.classList.add('epi-comparison');
+        chart_holder.append(comparison);
+
         let parameterBox = document.createElement("div");
         parameterBox.classList.add('epi-parameter-box');
 
@@ -1096,6 +5672,56 @@
         showZeros.classList.add('epi-show-zeros');
         parameterBox.append(showZeros);
 
+        let sweepBox = document.createElement("div");
+        sweepBox.classList.add('epi-sweep-box');
+
+        let sweepMinMax = document.createElement("button");
+        sweepMinMax.classList.add("epi-min-max");
+        sweepMinMax.textContent = "x";
+        sweepBox.append(sweepMinMax);
+        div.append(sweepBox);
+
+        let sweep = document.createElement("div");
+        sweep.classList.add('epi-sweep');
+        sweepBox.append(sweep);
+
+        let sweepForm = document.createElement("div");
+        sweepForm.classList.add('epi-sweep-form');
+        sweep.append(sweepForm);
+
+        let sweepStatus = document.createElement("div");
+        sweepStatus.classList.add('epi-sweep-status');
+        sweep.append(sweepStatus);
+
+        let sweepChart = document.createElement("canvas");
+        sweepChart.classList.add('epi-sweep-chart');
+        sweep.append(sweepChart);
+
+        let sweepDownload = document.createElement("div");
+        sweepDownload.classList.add('epi-download-box');
+        sweepBox.append(sweepDownload);
+
+        let treeBox = document.createElement("div");
+        treeBox.classList.add('epi-tree-box');
+
+        let treeMinMax = document.createElement("button");
+        treeMinMax.classList.add("epi-min-max");
+        treeMinMax.textContent = "x";
+        treeBox.append(treeMinMax);
+        div.append(treeBox);
+
+        let tree = document.createElement("div");
+        tree.classList.add('epi-tree');
+        treeBox.append(tree);
+
+        let treeControls = document.createElement("div");
+        treeControls.classList.add('epi-download-box');
+        treeBox.append(treeControls);
+
+        let treeShow = document.createElement("button");
+        treeShow.textContent = "Show transmissions";
+        treeControls.append(treeShow);
+
         let resultsBox = document.createElement("div");
         resultsBox.classList.add("epi-results-box");
 
@@ -1130,6 +5756,26 @@
         downloadAgents.title = "Agent state changes in CSV format";
         download.append(downloadAgents);
 
+        let downloadTransmissions = document.createElement("span");
+        downloadTransmissions.classList.add('epi-download');
+        download.append(downloadTransmissions);
+
+        let downloadGroups = document.createElement("span");
+        downloadGroups.classList.add('epi-download');
+        download.append(downloadGroups);
+
+        let downloadContacts = document.createElement("span");
+        downloadContacts.classList.add('epi-download');
+        download.append(downloadContacts);
+
+        let downloadPartnerships = document.createElement("span");
+        downloadPartnerships.classList.add('epi-download');
+        download.append(downloadPartnerships);
+
+        let downloadEnsemble = document.createElement("span");
+        downloadEnsemble.classList.add('epi-download');
+        download.append(downloadEnsemble);
+
         let controls = document.createElement("div");
         controls.classList.add('epi-controls');
         div.append(controls);
@@ -1149,21 +5795,40 @@
         reset.classList.add('epi-button');
         controls.append(reset);
 
+        let ensemble = document.createElement("button");
+        ensemble.textContent = "Ensemble";
+        ensemble.title = "Run replicates of this model and chart their spread";
+        ensemble.classList.add('epi-button');
+        controls.append(ensemble);
+
         ui_elements[div_id] = {
             'sim_div': sim_div,
             'simStatus': simStatus,
             'canvas': canvas,
             'chart': chart,
+            'comparison': comparison,
             'parameterBox': parameterBox,
             'parameters': parameters,
             'results': results,
             'showZeros': showZeros,
+            'sweepForm': sweepForm,
+            'sweepStatus': sweepStatus,
+            'sweepChart': sweepChart,
+            'sweepDownload': sweepDownload,
             'downloadResults': downloadResults,
             'downloadConfig': downloadConfig,
             'downloadAgents': downloadAgents,
+            'downloadTransmissions': downloadTransmissions,
+            'downloadGroups': downloadGroups,
+            'downloadContacts': downloadContacts,
+            'downloadPartnerships': downloadPartnerships,
+            'downloadEnsemble': downloadEnsemble,
+            'tree': tree,
+            'treeShow': treeShow,
             'play': play,
             'step': step,
             'reset': reset,
+            'ensemble': ensemble,
         };
     }
 
@@ -1180,7 +5845,7 @@
             addEventListener("change", function(e) {
                 let slider =  document.getElementById(div_id + name + '-slider');
                 slider.value = parseFloat(e.target.value);
-                let event = new Event('input');
+                let event = new Event('input', {bubbles: true});
                 slider.dispatchEvent(event);
             });
         document.getElementById(div_id + name + '-slider').
@@ -1189,6 +5854,26 @@
             });
     }
 
+    // With competing transitions the probabilities out of a state must not sum
+    // to more than 1. Rows that do are highlighted.
+    function markInvalidTransitions(sim, cluster, table, from) {
+        let total = 0.0;
+        for (const to in cluster.states[from].nextStateProb)
+            total += Number(cluster.states[from].nextStateProb[to]);
+        const invalid = total > 1.0 && !cluster.states[from].duration &&
+              sim.config.transitionMode === EpiAgents.TransitionMode.COMPETING;
+        const row = Object.keys(cluster.states).indexOf(from) + 1;
+        table.rows[row].classList.toggle("epi-transition-invalid", invalid);
+    }
+
+    // The entries a row of the transition table edits: those the simulation
+    // chooses destinations from, as in eventAdvanceAgents
+    function transitionRow(state) {
+        if (state.duration)
+            return state.nextStateWeights || state.nextStateProb;
+        return state.nextStateProb;
+    }
+
     function setupTransitionTable(sim, cluster, elem) {
         const keys = Object.keys(cluster.states);
         const n = keys.length;
@@ -1210,6 +5895,14 @@
                 let cell = row.insertCell();
                 if (j == 0) {
                     cell.innerHTML = cluster.states[keys[i]].description;
+                    const duration = cluster.states[keys[i]].duration;
+                    if (duration) {
+                        // Rows of states with durations hold destination
+                        // weights rather than probabilities
+                        cell.innerHTML += "*";
+                        cell.title = "Stay drawn from a " +
+                            duration.distribution + " distribution";
+                    }
                 } else if (i != j-1) {
                     const from = keys[i];
                     const to = keys[j-1];
@@ -1217,13 +5910,18 @@
                     cell.classList.add("epi-transition-editable");
                     cell.contentEditable = true;
                     cell.addEventListener("input", function(e) {
-                        cluster.states[from].nextStateProb[to] =
-                            Math.max(0.0,
-                                     Math.min(1.0,
-                                              parseFloat(e.target.textContent)));
+                        const state = cluster.states[from];
+                        let val = Math.max(0.0,
+                                           parseFloat(e.target.textContent) || 0.0);
+                        if (!state.duration && sim.config.transitionMode !==
+                            EpiAgents.TransitionMode.RATES)
+                            val = Math.min(1.0, val);
+                        transitionRow(state)[to] = val;
+                        markInvalidTransitions(sim, cluster, table, from);
                     });
-                    if (to in cluster.states[from].nextStateProb) {
-                        cell.innerHTML = cluster.states[from].nextStateProb[to];
+                    const entries = transitionRow(cluster.states[from]);
+                    if (to in entries) {
+                        cell.innerHTML = entries[to];
                     } else {
                         cell.innerHTML = 0.0;
                     }
@@ -1245,6 +5943,7 @@
         if (sim.config.description)
             output += "<p class='epi-model-description'>" +
             sim.config.description + "<p>";
+        output += "<p class='epi-model-seed'>Seed: " + sim.config.seed + "</p>";
         elem.insertAdjacentHTML("beforeend", output);
         makeInput(elem, "speed (millisecs)", sim.div_id, sim.config.interval,
                   "-speed");
@@ -1257,7 +5956,7 @@
                 cluster.name + "</h3>";
             div.insertAdjacentHTML("beforeend", output);
             makeInput(div, "Number of agents", sim.div_id + c,
-                      cluster.numAgents, "-agents", 0, 5000, 1);
+                      cluster.numAgents, "-agents", 0, 50000, 1);
 
             const clusterWidth = sim.clusters[0].right - sim.clusters[0].left;
             const clusterHeight = sim.clusters[0].bottom - sim.clusters[0].top;
@@ -1268,12 +5967,29 @@
 
             const states = sim.clusters[0].states;
 
+            // Migration
+            if (sim.clusters.length > 1) {
+                div.insertAdjacentHTML("beforeend",
+                                       "<h4 class='epi-model-migration'>" +
+                                       "Migration</h4>");
+                sim.clusters.forEach(function(to_cluster, t) {
+                    if (t !== c) {
+                        const rates = sim.config.migrationRates;
+                        const rate = (rates[c] && rates[c][t]) || 0;
+                        makeInput(div, "to " + t + " - " + to_cluster.name,
+                                  sim.div_id + c, rate, "-migration-" + t,
+                                  0, 0.1, 0.001);
+                    }
+                });
+            }
+
             // Infectiousness
             div.insertAdjacentHTML("beforeend",
                                    "<h4 class='epi-model-infectiousness'>" +
                                    "Infectiousness</h4>");
             for (const state in states) {
-                if (state.substr(0, 8) === "INFECTED") {
+                if (states[state].infected ||
+                    states[state].infectiousness > 0) {
                     let id = sim.inf_slider + c + "-" + state + "-slider";
                     makeInput(div, states[state].description, id,
                               states[state].infectiousness.toFixed(2),
@@ -1288,7 +6004,7 @@
                                     "<h4 class='epi-model-initial-ratios'>" +
                                     "Initial ratios</h4>");
             for (const state in states) {
-                if (state !== "DEAD") {
+                if (!states[state].dead) {
                     let id = sim.ini_slider + c + "-" + state;
                     makeInput(elem, states[state].description, id,
                               states[state].initialRatio, "", 0, 1000, 1);
@@ -1299,11 +6015,135 @@
 
             elem.insertAdjacentHTML("beforeend",
                                     "<h4 class='epi-model-transitions'>" +
-                                    "Transitions</h4>");
+                                    "Transitions (" +
+                                    sim.config.transitionMode + ")</h4>");
             setupTransitionTable(sim, cluster, elem);
             output = "</div>";
             elem.insertAdjacentHTML("beforeend", output);
         });
+
+        if (sim.config.interventions.length > 0) {
+            output = "<h4 class='epi-model-interventions'>Interventions</h4>" +
+                "<ul class='epi-interventions'>";
+            for (const intervention of sim.config.interventions) {
+                output += "<li>" + intervention.name + ": " +
+                    intervention.actions.map(function(action) {
+                        return EpiAgents.parameterLabel(action) +
+                            ("multiply" in action ? " x " + action.multiply :
+                             " = " + action.value);
+                    }).join(", ") + "</li>";
+            }
+            output += "</ul>";
+            elem.insertAdjacentHTML("beforeend", output);
+        }
+
+        if (sim.config.vaccination.length > 0) {
+            output = "<h4 class='epi-model-vaccination'>Vaccination</h4>" +
+                "<ul class='epi-vaccination'>";
+            for (const campaign of sim.config.vaccination) {
+                output += "<li>" + campaign.name + ": " +
+                    campaign.dosesPerIteration + " doses per iteration from " +
+                    campaign.start + (campaign.end !== undefined ?
+                                      " to " + campaign.end : "") +
+                    ", " + (campaign.priority || "random") + " priority, " +
+                    (campaign.doses || 1) + " dose schedule</li>";
+            }
+            output += "</ul>";
+            elem.insertAdjacentHTML("beforeend", output);
+        }
+
+        if (sim.config.layers.length > 0) {
+            output = "<h4 class='epi-model-layers'>Contact layers</h4>" +
+                "<ul class='epi-layers'>";
+            sim.config.layers.forEach(function(layer, l) {
+                const groups = sim.layers[l] ? sim.layers[l].groups.length :
+                      0;
+                output += "<li>" + layer.name + ": " + groups +
+                    " groups, transmission " + layer.transmission +
+                    (layer.open === false ? " (closed)" : "") + "</li>";
+            });
+            output += "</ul>";
+            elem.insertAdjacentHTML("beforeend", output);
+        }
+
+        if (sim.config.partnerships) {
+            const partnerships = sim.config.partnerships;
+            output = "<h4 class='epi-model-partnerships'>Partnerships</h4>" +
+                "<ul class='epi-partnerships'>" +
+                "<li>formation rate " + partnerships.formationRate +
+                ", mean duration " + partnerships.meanDuration +
+                " iterations, at most " + partnerships.maxPartners +
+                " partners</li>" +
+                "<li>transmission " + partnerships.transmission +
+                " x infectiousness per iteration</li></ul>";
+            elem.insertAdjacentHTML("beforeend", output);
+        }
+
+        if (sim.config.strains.length > 0) {
+            output = "<h4 class='epi-model-strains'>Strains</h4>" +
+                "<ul class='epi-strains'>";
+            for (const strain of sim.config.strains) {
+                const cross = Object.keys(strain.crossImmunity || {}).map(
+                    other => other + " " + strain.crossImmunity[other]);
+                const introduce = strain.introduce;
+                output += "<li>" + strain.name + ": infectiousness x " +
+                    (strain.infectiousness === undefined ? 1 :
+                     strain.infectiousness) +
+                    (introduce ? ", " + (introduce.count || 1) +
+                     " introduced on iteration " + introduce.iteration : "") +
+                    (cross.length > 0 ? ", cross-immunity from " +
+                     cross.join(", ") : "") + "</li>";
+            }
+            output += "</ul>";
+            elem.insertAdjacentHTML("beforeend", output);
+        }
+
+        if (sim.config.demography) {
+            const demography = sim.config.demography;
+            const deathRate = typeof demography.deathRate === "object" ?
+                  Object.keys(demography.deathRate).map(
+                      age => demography.deathRate[age] + " from age " + age).
+                  join(", ") : demography.deathRate;
+            output = "<h4 class='epi-model-demography'>Demography</h4>" +
+                "<ul class='epi-demography'>" +
+                "<li>birth rate " + demography.birthRate +
+                " per agent per iteration</li>" +
+                "<li>death rate from other causes " + deathRate + "</li>";
+            if (demography.ageAttribute) {
+                output += "<li>" + demography.ageAttribute + " increases " +
+                    "every " + demography.ageingInterval + " iterations</li>";
+            }
+            output += "</ul>";
+            elem.insertAdjacentHTML("beforeend", output);
+        }
+
+        if (sim.config.testing) {
+            const testing = sim.config.testing;
+            output = "<h4 class='epi-model-testing'>Testing</h4>" +
+                "<ul class='epi-testing'>" +
+                "<li>" + testing.testsPerIteration +
+                " tests per iteration from " + testing.start + "</li>" +
+                "<li>sensitivity " + testing.sensitivity + ", specificity " +
+                testing.specificity + ", reported after " +
+                testing.reportingDelay + " iterations</li>";
+            if (testing.trace) {
+                output += "<li>contacts in the last " + testing.contactMemory +
+                    " iterations traced with probability " +
+                    testing.traceProbability + ", compliance " +
+                    testing.compliance + ", quarantine " +
+                    testing.quarantineDuration + " iterations</li>";
+            }
+            output += "</ul>";
+            elem.insertAdjacentHTML("beforeend", output);
+        }
+
+        elem.insertAdjacentHTML("beforeend",
+                                "<h4 class='epi-model-ensemble'>" +
+                                "Ensemble</h4>");
+        makeInput(elem, "replicates", sim.div_id,
+                  sim.ensemble_options.replicates, "-replicates", 1, 200, 1);
+        makeInput(elem, "iterations", sim.div_id,
+                  sim.ensemble_options.iterations, "-iterations", 1, 2000, 1);
         const widgets = {
             "infectious_ids": infectious_ids,
             "initialRatio_ids": initialRatio_ids
@@ -1381,13 +6221,7 @@
         ui_elements[div_id].downloadResults.innerHTML = output;
         document.getElementById(id).addEventListener(
             "click", function (e) {
-                let text = "";
-                for (let result of sim.results) {
-                    for (let cell of result) {
-                        text += cell + ",";
-                    }
-                    text += "\n";
-                }
+                let text = EpiAgents.resultsToCSV(sim, true);
                 downloadFile("epiresults.csv", text);
             });
     }
@@ -1401,13 +6235,426 @@
         ui_elements[div_id].downloadAgents.innerHTML = output;
         document.getElementById(id).addEventListener(
             "click", function (e) {
-                let text = "agent,iteration,state\n";
-                for (let agent of sim.agents) {
-                    for (let state of agent.states) {
-                        text += agent.id + "," + state[0] + "," + state[1] + "\n";
+                let text = EpiAgents.agentsToCSV(sim);
+                downloadFile("epiagents.csv", text);
+            });
+    }
+
+    function setupDownloadGroups(div_id, sim) {
+        if (sim.groups.length === 0)
+            return;
+        const id = 'epi-download-groups-link-' + div_id;
+        const output = '<a href="#"' + " title=" +
+              "'State counts and infections of each attribute group on " +
+              "each iteration in CSV format' " + 'id="' + id +
+              '" class="epi-download-link">groups</a>';
+
+        ui_elements[div_id].downloadGroups.innerHTML = output;
+        document.getElementById(id).addEventListener(
+            "click", function (e) {
+                let text = EpiAgents.groupResultsToCSV(sim);
+                downloadFile("epigroups.csv", text);
+            });
+    }
+
+    function setupDownloadContacts(div_id, sim) {
+        if (sim.mixing.length === 0)
+            return;
+        const id = 'epi-download-contacts-link-' + div_id;
+        const output = '<a href="#"' + " title=" +
+              "'Collisions and effective contacts between mixing groups " +
+              "in CSV format' " + 'id="' + id +
+              '" class="epi-download-link">contacts</a>';
+
+        ui_elements[div_id].downloadContacts.innerHTML = output;
+        document.getElementById(id).addEventListener(
+            "click", function (e) {
+                let text = EpiAgents.contactsToCSV(sim);
+                downloadFile("epicontacts.csv", text);
+            });
+    }
+
+    function setupDownloadPartnerships(div_id, sim) {
+        if (!sim.config.partnerships)
+            return;
+        const id = 'epi-download-partnerships-link-' + div_id;
+        const output = '<a href="#"' + " title=" +
+              "'Every partnership with its start and end in CSV format' " +
+              'id="' + id + '" class="epi-download-link">partnerships</a>';
+
+        ui_elements[div_id].downloadPartnerships.innerHTML = output;
+        document.getElementById(id).addEventListener(
+            "click", function (e) {
+                let text = EpiAgents.partnershipsToCSV(sim);
+                downloadFile("epipartnerships.csv", text);
+            });
+    }
+
+    function setupDownloadTransmissions(div_id, sim) {
+        const id = 'epi-download-transmissions-link-' + div_id;
+        const output = '<a href="#"' + " title=" +
+              "'Who infected whom in CSV format' " + 'id="' + id +
+              '" class="epi-download-link">transmissions</a> ' +
+              '<a href="#"' + " title=" +
+              "'Who infected whom, secondary cases, generation intervals " +
+              "and transmission tree in JSON format' " + 'id="' + id +
+              '-json" class="epi-download-link">(json)</a>';
+
+        ui_elements[div_id].downloadTransmissions.innerHTML = output;
+        document.getElementById(id).addEventListener(
+            "click", function (e) {
+                let text = EpiAgents.transmissionsToCSV(sim);
+                downloadFile("epitransmissions.csv", text);
+            });
+        document.getElementById(id + '-json').addEventListener(
+            "click", function (e) {
+                let text = JSON.stringify(EpiAgents.transmissionsToObject(sim));
+                downloadFile("epitransmissions.json", text,
+                             'data:application/json;charset=utf-8,');
+            });
+    }
+
+    const CALIBRATION_COLORS = ["rgb(220, 0, 0)", "rgb(0, 0, 220)",
+                                "rgb(0, 150, 0)", "rgb(150, 0, 150)"];
+
+    /* Charts each observed series of a calibration that has run as points,
+       and the best fitting run over it as a line, against iterations. The
+       chart is returned so that the page can update or destroy it. A page
+       calibrates a model and charts the fit with e.g.
+
+         let calibration = EpiAgents.createCalibration(options, spec);
+         calibration.run();
+         EpiAgentsUI.createCalibrationGraph(
+             document.getElementById("fit"), calibration);
+
+       where "fit" is a canvas element. Calibrating takes many runs, so
+       pages with large models should keep maxEvaluations or samples small.
+     */
+    function createCalibrationGraph(elem, calibration,
+                                    chart_options=EpiAgentsUI.default_options.
+                                    chart_options)
+    {
+        let datasets = [];
+        // The rows of fit are in the order of the observed series
+        let start = 1;
+        calibration.config.observed.forEach(function(observed, i) {
+            const color = CALIBRATION_COLORS[i % CALIBRATION_COLORS.length];
+            const fit = calibration.fit.slice(start,
+                                              start + observed.values.length);
+            start += observed.values.length;
+            datasets.push(
+                {
+                    label: observed.counter + " (observed)",
+                    borderColor: color,
+                    backgroundColor: color,
+                    showLine: false,
+                    data: fit.map(row => ({x: row[1], y: row[2]}))
+                },
+                {
+                    label: observed.counter + " (fitted)",
+                    borderColor: color,
+                    backgroundColor: color,
+                    pointRadius: 0,
+                    fill: false,
+                    data: fit.map(row => ({x: row[1], y: row[3]}))
+                });
+        });
+        return new Chart(elem, {
+            type: 'line',
+            data: {datasets: datasets},
+            options: {
+                ...chart_options,
+                scales: {
+                    x: {
+                        type: "linear",
+                        title: {display: true, text: "iteration"}
                     }
                 }
-                downloadFile("epiagents.csv", text);
+            }
+        });
+    }
+
+    EpiAgentsUI.createCalibrationGraph = createCalibrationGraph;
+
+    // Most agents shown in the transmission tree, to keep the page
+    // responsive.
+    const MAX_TREE_NODES = 500;
+
+    function showTransmissionTree(div_id, sim) {
+        const data = EpiAgents.transmissionsToObject(sim);
+        const cases = data.secondaryCases.perAgent;
+        const meanCases = cases.length ?
+              cases.reduce((a, c) => a + c[1], 0) / cases.length : 0;
+        let shown = 0;
+        function list(nodes) {
+            let output = "<ul>";
+            for (const n of nodes) {
+                if (shown++ >= MAX_TREE_NODES)
+                    break;
+                output += "<li>Agent " + n.id + " (" + n.iteration +
+                    (n.cluster ? ", " + n.cluster : "") + ")";
+                if (n.children.length)
+                    output += list(n.children);
+                output += "</li>";
+            }
+            return output + "</ul>";
+        }
+        let output = "<p>" + data.transmissions.length + " transmissions. " +
+            "Mean secondary cases: " + meanCases.toFixed(2) + ". " +
+            "Secondary case distribution: [" +
+            data.secondaryCases.distribution.join(", ") + "]. " +
+            "Mean generation interval: " +
+            (data.meanGenerationInterval === null ? "-" :
+             data.meanGenerationInterval.toFixed(2)) + ".</p>";
+        output += list(data.tree);
+        if (shown > MAX_TREE_NODES)
+            output += "<p>Only the first " + MAX_TREE_NODES +
+            " agents are shown.</p>";
+        ui_elements[div_id].tree.innerHTML = output;
+    }
+
+    function setupDownloadEnsemble(div_id, sim) {
+        const id = 'epi-download-ensemble-link-' + div_id;
+        const output = '<a href="#"' + " title=" +
+              "'Mean, median and percentiles of each counter on each " +
+              "iteration across the ensemble in CSV format' " + 'id="' + id +
+              '" class="epi-download-link">ensemble</a>';
+
+        ui_elements[div_id].downloadEnsemble.innerHTML = output;
+        document.getElementById(id).addEventListener(
+            "click", function (e) {
+                let text = EpiAgents.resultsToCSV(sim.ensemble);
+                downloadFile("epiensemble.csv", text);
+            });
+    }
+
+    function runEnsemble(div_id, sim) {
+        const replicates = parseInt(
+            document.getElementById(div_id + "-replicates").value);
+        const iterations = parseInt(
+            document.getElementById(div_id + "-iterations").value);
+        let options = EpiAgents.headlessOptions(sim.config);
+        options.maxIterations = iterations;
+        let status = ui_elements[div_id].simStatus;
+        if (!(replicates >= 1)) {
+            status.textContent = "Replicates must be at least 1";
+            return;
+        }
+        status.textContent = "Running ensemble of " + replicates +
+            " replicates ...";
+        // Let the browser show the status before the replicates run
+        setTimeout(function() {
+            sim.ensemble = EpiAgents.createEnsemble(
+                options, replicates, sim.ensemble_options.percentiles);
+            sim.ensemble.run();
+            sim.chart.destroy();
+            sim.chart = createGraph(ui_elements[div_id].chart, sim,
+                                    sim.ensemble);
+            setupDownloadEnsemble(div_id, sim);
+            status.textContent = "Ensemble of " + replicates +
+                " replicates, seed " + sim.ensemble.config.seed;
+        }, 0);
+    }
+
+    function sweepParameterChoices(sim) {
+        const states = sim.clusters[0].states;
+        let choices = [
+            {name: "numAgents", min: 100, max: 1000},
+            {name: "agentSpeed", min: 0.5, max: 2.0}
+        ];
+        for (const state in states) {
+            if (states[state].infected)
+                choices.push({name: "infectiousness", state: state,
+                              min: 0.0, max: 1.0});
+        }
+        for (const from in states) {
+            for (const to in states[from].nextStateProb) {
+                choices.push({name: "nextStateProb", from: from, to: to,
+                              min: 0.0, max: 1.0});
+            }
+        }
+        return choices;
+    }
+
+    function sweepAxisHTML(id, choices, axis) {
+        let output = "<div class='epi-sweep-axis'>";
+        output += "<label for='" + id + "-param-" + axis + "'>Parameter " +
+            (axis + 1) + "</label> <select id='" + id + "-param-" + axis + "'>";
+        if (axis > 0)
+            output += "<option value='-1'>none</option>";
+        choices.forEach(function(choice, i) {
+            output += "<option value='" + i + "'>" +
+                EpiAgents.parameterLabel(choice) + "</option>";
+        });
+        output += "</select><br>";
+        output += "<label>from <input id='" + id + "-min-" + axis +
+            "' class='epi-value' size=5 value=" + choices[0].min + "></label>";
+        output += "<label> to <input id='" + id + "-max-" + axis +
+            "' class='epi-value' size=5 value=" + choices[0].max + "></label>";
+        output += "<label> steps <input id='" + id + "-steps-" + axis +
+            "' class='epi-value' size=3 value=5></label>";
+        output += "</div>";
+        return output;
+    }
+
+    function drawHeatmap(canvas, sweep, metric) {
+        canvas.width = 400;
+        canvas.height = 300;
+        const ctx = canvas.getContext("2d");
+        const margin = 50;
+        const xs = sweep.values[0];
+        const ys = sweep.values[1];
+        const cellWidth = (canvas.width - margin) / xs.length;
+        const cellHeight = (canvas.height - margin) / ys.length;
+        const values = sweep.points.map(p => p.metrics[metric]);
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.font = "10px sans-serif";
+        for (const point of sweep.points) {
+            const i = xs.indexOf(point.values[0]);
+            const j = ys.indexOf(point.values[1]);
+            const t = max > min ? (point.metrics[metric] - min) / (max - min) : 0;
+            const c = Math.round(255 * (1 - t));
+            ctx.fillStyle = "rgb(255, " + c + ", " + c + ")";
+            ctx.fillRect(margin + i * cellWidth, j * cellHeight,
+                         cellWidth, cellHeight);
+            ctx.fillStyle = "black";
+            ctx.fillText(EpiAgents.round(point.metrics[metric], 1),
+                         margin + i * cellWidth + 2,
+                         j * cellHeight + cellHeight / 2);
+        }
+        xs.forEach(function(x, i) {
+            ctx.fillText(x, margin + i * cellWidth + 2,
+                         canvas.height - margin + 12);
+        });
+        ys.forEach(function(y, j) {
+            ctx.fillText(y, 2, j * cellHeight + cellHeight / 2);
+        });
+        const labels = sweep.config.parameters.map(
+            EpiAgents.parameterLabel);
+        ctx.fillText(labels[0] + " (x) by " + labels[1] + " (y): " + metric +
+                     " " + EpiAgents.round(min, 1) + " - " +
+                     EpiAgents.round(max, 1),
+                     2, canvas.height - 12);
+    }
+
+    function drawSweep(div_id, sim) {
+        const id = 'epi-sweep-' + div_id;
+        const metric = document.getElementById(id + "-metric").value;
+        const canvas = ui_elements[div_id].sweepChart;
+        if (sim.sweep_chart) {
+            sim.sweep_chart.destroy();
+            sim.sweep_chart = undefined;
+        }
+        if (sim.sweep.values.length === 1) {
+            sim.sweep_chart = new Chart(canvas, {
+                type: 'line',
+                data: {
+                    labels: sim.sweep.values[0],
+                    datasets: [{
+                        label: metric,
+                        backgroundColor: "rgb(220, 0, 0)",
+                        borderColor: "rgb(220, 0, 0)",
+                        data: sim.sweep.points.map(p => p.metrics[metric])
+                    }]
+                },
+                options: sim.chart_options
+            });
+        } else {
+            drawHeatmap(canvas, sim.sweep, metric);
+        }
+    }
+
+    function runSweep(div_id, sim, choices) {
+        const id = 'epi-sweep-' + div_id;
+        let parameters = [];
+        for (let axis = 0; axis < 2; axis++) {
+            const index = parseInt(
+                document.getElementById(id + "-param-" + axis).value);
+            if (index < 0)
+                continue;
+            parameters.push({
+                ...choices[index],
+                min: parseFloat(document.getElementById(id + "-min-" + axis).
+                                value),
+                max: parseFloat(document.getElementById(id + "-max-" + axis).
+                                value),
+                steps: parseInt(document.getElementById(id + "-steps-" + axis).
+                                value)
+            });
+        }
+        const replicates = parseInt(
+            document.getElementById(id + "-replicates").value);
+        let options = EpiAgents.headlessOptions(sim.config);
+        options.maxIterations = parseInt(
+            document.getElementById(id + "-iterations").value);
+        let status = ui_elements[div_id].sweepStatus;
+        status.textContent = "Running sweep ...";
+        // Let the browser show the status before the simulations run
+        setTimeout(function() {
+            sim.sweep = EpiAgents.createSweep(options, parameters, replicates);
+            sim.sweep.run();
+            drawSweep(div_id, sim);
+            status.textContent = sim.sweep.points.length + " points, " +
+                replicates + " replicates each, seed " +
+                sim.sweep.config.seed;
+        }, 0);
+    }
+
+    function setupSweep(div_id, sim) {
+        const id = 'epi-sweep-' + div_id;
+        const choices = sweepParameterChoices(sim);
+        let output = sweepAxisHTML(id, choices, 0) +
+            sweepAxisHTML(id, choices, 1);
+        output += "<label for='" + id + "-metric'>Outcome</label> <select id='" +
+            id + "-metric'>";
+        for (const metric in EpiAgents.SweepMetrics) {
+            output += "<option>" + metric + "</option>";
+        }
+        output += "</select><br>";
+        output += "<label>replicates <input id='" + id + "-replicates' " +
+            "class='epi-value' size=3 value=1></label>";
+        output += "<label> iterations <input id='" + id + "-iterations' " +
+            "class='epi-value' size=4 value=" +
+            sim.ensemble_options.iterations + "></label> ";
+        output += "<button id='" + id + "-run' class='epi-sweep-run'>" +
+            "Sweep</button>";
+        ui_elements[div_id].sweepForm.innerHTML = output;
+
+        for (let axis = 0; axis < 2; axis++) {
+            document.getElementById(id + "-param-" + axis).addEventListener(
+                "change", function(e) {
+                    const choice = choices[parseInt(e.target.value)];
+                    if (choice) {
+                        document.getElementById(id + "-min-" + axis).value =
+                            choice.min;
+                        document.getElementById(id + "-max-" + axis).value =
+                            choice.max;
+                    }
+                });
+        }
+        document.getElementById(id + "-metric").addEventListener(
+            "change", function(e) {
+                if (sim.sweep)
+                    drawSweep(div_id, sim);
+            });
+        document.getElementById(id + "-run").addEventListener(
+            "click", function(e) {
+                if (sim.state == EpiAgents.SimulationPhase.PAUSED)
+                    runSweep(div_id, sim, choices);
+            });
+
+        const link = id + '-download-link';
+        ui_elements[div_id].sweepDownload.innerHTML = "Download: " +
+            '<a href="#" title="Outcome metrics at each point of the sweep ' +
+            'in CSV format" id="' + link +
+            '" class="epi-download-link">sweep</a>';
+        document.getElementById(link).addEventListener(
+            "click", function (e) {
+                if (sim.sweep)
+                    downloadFile("episweep.csv",
+                                 EpiAgents.resultsToCSV(sim.sweep));
             });
     }
 
@@ -1422,7 +6669,10 @@
     function assignClusterEvents(div_id, sim, cluster, c) {
         document.getElementById(div_id + c + '-agents-slider').
             addEventListener("input", function(e) {
-                let numAgents = e.target.value;
+                let numAgents = parseInt(e.target.value);
+                // Kept in the configuration for the runs made from it, e.g.
+                // on reset or for an ensemble or sweep
+                cluster.numAgents = numAgents;
                 if (numAgents > sim.agents.length) {
                     let from = sim.agents.length;
                     sim.generateAgents(numAgents - sim.agents.length, cluster);
@@ -1451,25 +6701,42 @@
                 for (let a of sim.agents) a.correctPosition();
                 eventDrawCanvas(sim);
             });
+        sim.clusters.forEach(function(to_cluster, t) {
+            if (t !== c) {
+                document.getElementById(div_id + c + '-migration-' + t +
+                                        '-slider').
+                    addEventListener("input", function(e) {
+                        sim.setMigrationRate(c, t, parseFloat(e.target.value));
+                    });
+            }
+        });
     }
 
     function assignEvents(div_id, sim) {
         let play = ui_elements[div_id].play;
         let step = ui_elements[div_id].step;
         let reset = ui_elements[div_id].reset;
+        let ensemble = ui_elements[div_id].ensemble;
         play.addEventListener("click", function (e) {
             if (sim.state == EpiAgents.SimulationPhase.PAUSED) {
                 e.target.textContent = "Pause";
                 step.disabled = true;
                 reset.disabled = true;
+                ensemble.disabled = true;
                 sim.play();
             } else {
                 e.target.textContent = "Run";
                 step.disabled = false;
                 reset.disabled = false;
+                ensemble.disabled = false;
                 sim.pause();
             }
         });
+        ensemble.addEventListener("click", function (e) {
+            if (sim.state == EpiAgents.SimulationPhase.PAUSED) {
+                runEnsemble(div_id, sim);
+            }
+        });
         step.addEventListener("click", function (e) {
             if (sim.state == EpiAgents.SimulationPhase.PAUSED) {
                 sim.step();
@@ -1490,10 +6757,23 @@
 
 
         let widgets = showParameters(sim, ui_elements[div_id].parameters);
+        if (sim.compare_options) {
+            // Every parameter widget fires input events
+            ui_elements[div_id].parameters.addEventListener(
+                "input", e => refreshComparison(sim));
+        }
         setupShowZeros(div_id, sim);
         setupDownloadConfig(div_id, sim);
         setupDownloadResults(div_id, sim);
         setupDownloadAgents(div_id, sim);
+        setupDownloadTransmissions(div_id, sim);
+        setupDownloadGroups(div_id, sim);
+        setupDownloadContacts(div_id, sim);
+        setupDownloadPartnerships(div_id, sim);
+        setupSweep(div_id, sim);
+        ui_elements[div_id].treeShow.addEventListener("click", function (e) {
+            showTransmissionTree(div_id, sim);
+        });
 
         sim.clusters.forEach(function(cluster, c) {
             assignClusterEvents(div_id, sim, cluster, c);
@@ -1575,10 +6855,28 @@
         });
     }
 
+    // Lists configuration problems above the results before rethrowing
+    function showConfigError(div_id, error) {
+        if (!(error instanceof EpiAgents.EpiAgentsConfigError))
+            return;
+        let output = "<ul class='epi-config-errors'>";
+        for (const problem of error.problems)
+            output += "<li>" + problem.path + ": " + problem.message + "</li>";
+        output += "</ul>";
+        ui_elements[div_id].results.innerHTML = output;
+    }
+
     function init(sim, div_id) {
         correctDimensions(div_id, sim);
         createSimulationCanvas(div_id, sim);
-        sim.initialize();
+        try {
+            sim.initialize();
+            if (sim.compare_options)
+                sim.compare = createComparison(sim, sim.compare_options);
+        } catch (e) {
+            showConfigError(div_id, e);
+            throw e;
+        }
         eventDrawCanvas(sim);
         assignEvents(div_id, sim);
         writeResultsHeader(ui_elements[div_id].results, sim);
@@ -1608,9 +6906,15 @@
                 }
             ];
         override_options.extraAfterEvents = options.extraAfterEvents ||
-            [eventDrawCanvas];
+            [
+                eventDrawCanvas,
+                function(sim)
+                {
+                    EpiAgentsUI.showComparison(sim);
+                }
+            ];
 
-        let sim = new EpiAgents.Simulation(options);
+        let sim = EpiAgents.create(options, UI_OPTION_KEYS);
         sim.sim_div = ui_elements[div_id].sim_div;
         sim.canvas = null;
         sim.ctx = null;
@@ -1620,9 +6924,21 @@
         sim.inf_slider = sim.inf + "-";
         sim.ini_slider = sim.ini + "-";
         sim.show_zeros = true;
+        sim.plot_rt = options.plotRt || false;
+        sim.compare_options = options.compare || false;
+        sim.compare = undefined;
 
         sim.chart_options = override_options.chart_options ||
             EpiAgentsUI.default_options.chart_options;
+        sim.ensemble = undefined;
+        sim.sweep = undefined;
+        sim.sweep_chart = undefined;
+        sim.ensemble_options = {
+            replicates: 10,
+            iterations: sim.config.maxIterations || 200,
+            percentiles: [2.5, 25, 75, 97.5],
+            ...options.ensemble
+        };
 
         sim.init = function() {
             init(sim, div_id);
@@ -1641,4 +6957,5 @@
 
     EpiAgentsUI.create = create;
 
-} (window.EpiAgentsUI = window.EpiAgentsUI || {}));
+} (typeof window === "undefined" ? {} :
+   (window.EpiAgentsUI = window.EpiAgentsUI || {})));
@@ -1,32 +1,557 @@
-/* Return number of new infections.
-
-    Parameters:
-    from_to (str): transition name consisting of two compartment names
-                    separated by an underscore (e.g. S_Ic)
-    beta (float): effective contact rate
-    compartments (dict): dictionary of compartments including the two
-                         specified in from_to
-    totals (dict): dictionary containing a key 'N' that is the sum of the
-                   total population for this model.
-    model (Model): Unused but part of function signature
+/*
+  EpiMacro: compartmental models of infectious diseases.
+  Copyright (C) 2021  Nathan Geffen
+
+  This program is free software: you can redistribute it and/or modify
+  it under the terms of the GNU Affero General Public License as
+  published by the Free Software Foundation, either version 3 of the
+  License, or (at your option) any later version.
+
+  This program is distributed in the hope that it will be useful,
+  but WITHOUT ANY WARRANTY; without even the implied warranty of
+  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+  GNU Affero General Public License for more details.
+
+  You should have received a copy of the GNU Affero General Public License
+  along with this program.  If not, see <https://www.gnu.org/licenses/>.
 */
-function delta_S_I(from_to, beta, compartments, totals, model) {
-    from_, to_ = from_to.split("_");
-    return beta * compartments[from_] * totals[to_] / totals['N']
-}
 
 /*
-  Return number individuals to be moved from one compartment to another.
-
-  Parameters:
-  from_to (str): transition name consisting of two compartment names
-  separated by an underscore (e.g. I_R)
-  prop (float): proportion of "from" compartment to move
-  compartments (dict): dictionary of compartments including the two
-  specified in from_to
-  totals (dict): Unused but part of function signature
-  model (Model): Unused but part of function signature
-*/
-function delta_X_Y(from_to, prop, compartments, totals, model) {
-    from_, _ = from_to.split("_")
-    return prop * compartments[from_]
+  EpiMacro solves the compartmental (ordinary differential equation)
+  counterpart of an EpiAgents simulation. It takes the same options: each
+  state of the first cluster is a compartment, initially holding its share
+  of the agents of every cluster by initialRatio, and each transition is a
+  flow between two compartments.
+
+  A flow is a function called as fn(from_to, param, compartments, totals,
+  model) that returns the rate at which individuals move from one
+  compartment to another, where from_to is [from, to], compartments maps
+  each state to the number in it and totals has N, the number alive, and
+  infectious, the sum of the infected compartments weighted by their
+  infectiousness. The flows are
+      delta_S_I from every susceptible state to the infectionEntry state,
+          with param beta (options.beta, default 1), so that infectiousness
+          is the weight of each infected state in the force of infection;
+      delta_X_Y for every nextStateProb, with param the rate that gives the
+          same probability of leaving on an iteration (see transitionRates),
+          or, for states with a duration, the nextStateWeights shares of 1
+          / the mean duration;
+  and any in options.flows, each {from, to, fn, param} where fn is a
+  function or the name of one registered with EpiMacro.registerFlow.
+
+  The equations are solved with options.method, "rk4" (the default) or
+  "euler", in steps of options.stepSize iterations (default 0.1, rounded
+  so that there is a whole number of steps per iteration). results has the
+  same columns as the results of an EpiAgents simulation with the same
+  options. Features of agents, e.g. attributes, contact layers,
+  partnerships, strains, interventions and the reproduction numbers, have
+  no counterpart here and their columns are 0.
+
+  StochasticModel is the stochastic counterpart of the same flows, i.e. a
+  well-mixed, non-spatial simulation of individuals in continuous time (see
+  below).
+ */
+
+"use strict";
+
+(function (EpiMacro) {
+
+    const EpiAgents = typeof module === "object" && module.exports ?
+          require("./epiagents.js") : window.EpiAgents;
+
+    // Options used by EpiMacro but not EpiAgents
+    const MACRO_OPTION_KEYS = ["beta", "method", "stepSize", "flows",
+                               "algorithm", "tau"];
+
+    EpiMacro.MACRO_OPTION_KEYS = MACRO_OPTION_KEYS;
+
+    // The counters of the simulation's results that a model computes, besides
+    // one per state
+    const COMPUTED_COUNTERS = ["alive", "total_initial_infections",
+                               "total_simulation_infections", "infections"];
+
+    /* Return number of new infections.
+
+       Parameters:
+       from_to (array): the names of the two compartments, e.g. ["S", "I"]
+       beta (float): effective contact rate
+       compartments (dict): dictionary of compartments including the two
+                            specified in from_to
+       totals (dict): dictionary containing N, the total living population
+                      of this model, and infectious, the number infectious
+                      weighted by infectiousness
+       model (Model): Unused but part of function signature
+    */
+    function delta_S_I(from_to, beta, compartments, totals, model) {
+        const [from_, to_] = from_to;
+        if (totals.N <= 0.0)
+            return 0.0;
+        return beta * compartments[from_] * totals.infectious / totals.N;
+    }
+
+    EpiMacro.delta_S_I = delta_S_I;
+
+    /*
+      Return number individuals to be moved from one compartment to another.
+
+      Parameters:
+      from_to (array): the names of the two compartments, e.g. ["I", "R"]
+      prop (float): proportion of "from" compartment to move
+      compartments (dict): dictionary of compartments including the two
+      specified in from_to
+      totals (dict): Unused but part of function signature
+      model (Model): Unused but part of function signature
+    */
+    function delta_X_Y(from_to, prop, compartments, totals, model) {
+        const [from_, to_] = from_to;
+        return prop * compartments[from_];
+    }
+
+    EpiMacro.delta_X_Y = delta_X_Y;
+
+    // Flow functions that options.flows can name
+    let flowFunctions = {
+        delta_S_I: delta_S_I,
+        delta_X_Y: delta_X_Y
+    };
+
+    EpiMacro.flowFunctions = flowFunctions;
+
+    function registerFlow(name, fn) {
+        flowFunctions[name] = fn;
+    }
+
+    EpiMacro.registerFlow = registerFlow;
+
+    function meanDuration(duration) {
+        const d = duration.distribution;
+        if (d === "fixed") {
+            return duration.value;
+        } else if (d === "uniform") {
+            return (duration.min + duration.max) / 2.0;
+        } else if (d === "gamma") {
+            return duration.shape * duration.scale;
+        } else if (d === "lognormal") {
+            return Math.exp(duration.meanlog + duration.sdlog *
+                            duration.sdlog / 2.0);
+        }
+        const weights = duration.weights || duration.values.map(v => 1);
+        const total = weights.reduce((a, b) => a + b, 0);
+        return duration.values.reduce(
+            (sum, v, i) => sum + v * weights[i], 0) / total;
+    }
+
+    // The rate of each transition out of a state, such that the probability
+    // of leaving it over an iteration is the same as for an agent
+    function transitionRates(state, mode) {
+        let rates = {};
+        if (state.duration) {
+            const weights = state.nextStateWeights || state.nextStateProb || {};
+            let total = 0.0;
+            for (const to in weights)
+                total += Number(weights[to]);
+            const exit = 1.0 / Math.max(1.0, meanDuration(state.duration));
+            for (const to in weights) {
+                if (total > 0.0)
+                    rates[to] = exit * weights[to] / total;
+            }
+            return rates;
+        }
+        const probs = EpiAgents.exitProbabilities(state.nextStateProb || {},
+                                                  mode);
+        let exit = 0.0;
+        for (const to in probs)
+            exit += probs[to];
+        // Leaving with certainty has no finite rate, so it takes a
+        // millionth of an iteration's chance of staying
+        const rate = -Math.log(Math.max(1.0 - exit, 1e-6));
+        for (const to in probs) {
+            if (probs[to] > 0.0)
+                rates[to] = rate * probs[to] / exit;
+        }
+        return rates;
+    }
+
+    EpiMacro.transitionRates = transitionRates;
+
+    // Integrators advance the vector y by a step h given its derivative f
+    const Integrators = {
+        euler: function(f, y, h) {
+            const dy = f(y);
+            return y.map((v, i) => v + h * dy[i]);
+        },
+        rk4: function(f, y, h) {
+            const add = (a, b, s) => a.map((v, i) => v + s * b[i]);
+            const k1 = f(y);
+            const k2 = f(add(y, k1, h / 2.0));
+            const k3 = f(add(y, k2, h / 2.0));
+            const k4 = f(add(y, k3, h));
+            return y.map((v, i) => v + h / 6.0 *
+                         (k1[i] + 2.0 * k2[i] + 2.0 * k3[i] + k4[i]));
+        }
+    };
+
+    EpiMacro.Integrators = Integrators;
+
+    class Model {
+        constructor(options={}) {
+            this.processOptions(options);
+        }
+
+        processOptions(options) {
+            // The simulation is never run. It validates the options and
+            // provides the states and the columns of the results.
+            const sim = EpiAgents.create(options, MACRO_OPTION_KEYS);
+            let problems = [];
+            let config = {
+                ...sim.config,
+                beta: options.beta === undefined ? 1.0 : Number(options.beta),
+                method: options.method || "rk4",
+                stepSize: options.stepSize === undefined ? 0.1 :
+                    Number(options.stepSize)
+            };
+            this.config = config;
+            this.states = sim.clusters[0].states;
+            this.keys = Object.keys(this.states);
+            this.columns = Object.keys(sim.counters);
+            if (!(config.beta >= 0.0))
+                problems.push({path: "beta", message: "must be at least 0"});
+            if (!(config.method in Integrators))
+                problems.push({path: "method", message: "must be one of " +
+                               Object.keys(Integrators).join(", ")});
+            if (!(config.stepSize > 0.0 && config.stepSize <= 1.0))
+                problems.push({path: "stepSize",
+                               message: "must be greater than 0 and at most 1"});
+
+            this.flows = [];
+            const entry = EpiAgents.findStateWithRole(this.states,
+                                                      "infectionEntry");
+            for (const key of this.keys) {
+                const state = this.states[key];
+                if (state.susceptible && entry !== undefined)
+                    this.addFlow(key, entry, delta_S_I, config.beta);
+                const rates = transitionRates(state, config.transitionMode);
+                for (const to in rates)
+                    this.addFlow(key, to, delta_X_Y, rates[to]);
+            }
+            (options.flows || []).forEach(function(flow, i) {
+                const path = "flows[" + i + "]";
+                const fn = typeof flow.fn === "function" ? flow.fn :
+                      flowFunctions[flow.fn];
+                for (const key of ["from", "to"]) {
+                    if (!(flow[key] in this.states))
+                        problems.push({path: path + "." + key,
+                                       message: "unknown state " + flow[key]});
+                }
+                if (fn === undefined)
+                    problems.push({path: path + ".fn",
+                                   message: "unknown flow function " + flow.fn});
+                else
+                    this.addFlow(flow.from, flow.to, fn, flow.param);
+            }, this);
+            problems = problems.concat(this.checkOptions(options));
+            if (problems.length > 0)
+                throw new EpiAgents.EpiAgentsConfigError(problems);
+
+            const population = sim.clusters.reduce(
+                (sum, cluster) => sum + Number(cluster.numAgents || 0), 0);
+            let totalRatio = 0.0;
+            for (const key of this.keys)
+                totalRatio += Number(this.states[key].initialRatio);
+            this.compartments = {};
+            this.initializeCompartments(population, totalRatio);
+            this.initialInfections = this.infected(this.compartments);
+            this.totalInfections = 0.0;
+            this.iteration = 0;
+            this.results = [["#"].concat(this.columns)];
+            this.recordResult("S");
+        }
+
+        // Problems with options of subclasses
+        checkOptions(options) {
+            return [];
+        }
+
+        initializeCompartments(population, totalRatio) {
+            for (const key of this.keys) {
+                this.compartments[key] = totalRatio > 0.0 ? population *
+                    this.states[key].initialRatio / totalRatio : 0.0;
+            }
+        }
+
+        addFlow(from, to, fn, param) {
+            const states = this.states;
+            this.flows.push({
+                from: from,
+                to: to,
+                fn: fn,
+                param: param,
+                // Flows into infection are counted as infections
+                infection: !states[from].infected && Boolean(states[to].infected)
+            });
+        }
+
+        infected(compartments) {
+            let total = 0.0;
+            for (const key of this.keys) {
+                if (this.states[key].infected)
+                    total += compartments[key];
+            }
+            return total;
+        }
+
+        totals(compartments) {
+            let totals = {N: 0.0, infectious: 0.0};
+            for (const key of this.keys) {
+                const state = this.states[key];
+                if (!state.dead)
+                    totals.N += compartments[key];
+                if (state.infected)
+                    totals.infectious += compartments[key] *
+                        state.infectiousness;
+            }
+            return totals;
+        }
+
+        // The rate of each flow
+        flowRates(compartments) {
+            const totals = this.totals(compartments);
+            return this.flows.map(
+                flow => flow.fn([flow.from, flow.to], flow.param,
+                                compartments, totals, this));
+        }
+
+        // The rate of change of each compartment and, last, of the number
+        // of infections
+        derivatives(y) {
+            let compartments = {};
+            this.keys.forEach((key, i) => compartments[key] = y[i]);
+            const rates = this.flowRates(compartments);
+            let dy = y.map(v => 0.0);
+            this.flows.forEach(function(flow, f) {
+                const delta = rates[f];
+                dy[this.keys.indexOf(flow.from)] -= delta;
+                dy[this.keys.indexOf(flow.to)] += delta;
+                if (flow.infection)
+                    dy[this.keys.length] += delta;
+            }, this);
+            return dy;
+        }
+
+        step() {
+            const steps = Math.max(1, Math.round(1.0 / this.config.stepSize));
+            const integrate = Integrators[this.config.method];
+            let y = this.keys.map(key => this.compartments[key]).concat(
+                [this.totalInfections]);
+            for (let i = 0; i < steps; i++)
+                y = integrate(y => this.derivatives(y), y, 1.0 / steps);
+            this.keys.forEach((key, i) => this.compartments[key] = y[i]);
+            this.totalInfections = y[this.keys.length];
+            this.recordResult(this.iteration);
+            ++this.iteration;
+        }
+
+        // Whether the model computes a results column: the others, e.g. the
+        // reproduction numbers or strain counters, are always 0
+        computes(column) {
+            return COMPUTED_COUNTERS.includes(column) ||
+                this.keys.includes(column);
+        }
+
+        recordResult(label) {
+            // Only the COMPUTED_COUNTERS and states
+            const values = {
+                alive: this.totals(this.compartments).N,
+                total_initial_infections: this.initialInfections,
+                total_simulation_infections: this.totalInfections,
+                infections: this.infected(this.compartments),
+                ...this.compartments
+            };
+            this.results.push([label].concat(this.columns.map(
+                key => EpiAgents.round(values[key] || 0.0, 3))));
+        }
+
+        run() {
+            for (let i = 0; i < this.config.maxIterations; i++)
+                this.step();
+            let last = this.results[this.results.length - 1].slice();
+            last[0] = "E";
+            this.results.push(last);
+        }
+    }
+
+    EpiMacro.Model = Model;
+
+    EpiMacro.create = function(options={}) {
+        return new Model(options);
+    }
+
+    // Creates and runs a model to maxIterations
+    function runModel(options) {
+        let model = new Model(options);
+        model.run();
+        return model;
+    }
+
+    EpiMacro.runModel = runModel;
+
+    // Knuth's method for small means, else the normal approximation
+    function poisson(mean, random) {
+        if (mean <= 0.0)
+            return 0;
+        if (mean > 30.0) {
+            return Math.max(0, Math.round(
+                mean + Math.sqrt(mean) * EpiAgents.normal(random)));
+        }
+        const limit = Math.exp(-mean);
+        let k = 0;
+        let p = random();
+        while (p > limit) {
+            ++k;
+            p *= random();
+        }
+        return k;
+    }
+
+    EpiMacro.poisson = poisson;
+
+    /*
+      A stochastic simulation of the flows of a Model in continuous time.
+      Compartments hold whole numbers of individuals, each initially in a
+      state chosen by initialRatio as for an agent, and the rate of each flow
+      is the propensity of an individual moving along it.
+
+      With algorithm "direct" (the default) every event is simulated exactly
+      by Gillespie's direct method: the time to the next event is
+      exponentially distributed with the sum of the rates, and the flow it
+      happens on is chosen in proportion to its rate. With algorithm "tau",
+      time advances in leaps of options.tau iterations (default 0.1), with a
+      Poisson number of events on each flow, at most the number in the
+      compartment it leaves. This is faster for large populations but
+      approximate.
+
+      events holds [time, from, to, number] for every event (or leap of a
+      flow) and eventsToCSV writes them. results holds the state at the end
+      of each whole iteration, so it can be compared row by row with the
+      results of a simulation or Model with the same options. Random numbers
+      come from options.seed, so a run can be reproduced.
+     */
+    class StochasticModel extends Model {
+        checkOptions(options) {
+            let problems = [];
+            this.config.algorithm = options.algorithm || "direct";
+            this.config.tau = options.tau === undefined ? 0.1 :
+                Number(options.tau);
+            if (!["direct", "tau"].includes(this.config.algorithm))
+                problems.push({path: "algorithm",
+                               message: "must be one of direct, tau"});
+            if (!(this.config.tau > 0.0 && this.config.tau <= 1.0))
+                problems.push({path: "tau",
+                               message: "must be greater than 0 and at most 1"});
+            return problems;
+        }
+
+        initializeCompartments(population, totalRatio) {
+            this.random = EpiAgents.makeRandom(this.config.seed);
+            this.time = 0.0;
+            this.events = [];
+            for (const key of this.keys)
+                this.compartments[key] = 0;
+            for (let i = 0; i < population; i++) {
+                let r = this.random() * totalRatio;
+                for (const key of this.keys) {
+                    r -= this.states[key].initialRatio;
+                    if (r < 0.0) {
+                        ++this.compartments[key];
+                        break;
+                    }
+                }
+            }
+        }
+
+        move(f, number) {
+            const flow = this.flows[f];
+            number = Math.min(number, this.compartments[flow.from]);
+            if (number <= 0)
+                return;
+            this.compartments[flow.from] -= number;
+            this.compartments[flow.to] += number;
+            if (flow.infection)
+                this.totalInfections += number;
+            this.events.push([EpiAgents.round(this.time, 4), flow.from,
+                              flow.to, number]);
+        }
+
+        directStep(end) {
+            for (;;) {
+                const rates = this.flowRates(this.compartments);
+                const total = rates.reduce((a, b) => a + b, 0.0);
+                if (!(total > 0.0))
+                    break;
+                // As events are memoryless, one that would happen after the
+                // end of the iteration can be discarded
+                const wait = -Math.log(1.0 - this.random()) / total;
+                if (this.time + wait > end)
+                    break;
+                this.time += wait;
+                let r = this.random() * total;
+                let f = 0;
+                while (f < rates.length - 1 && r >= rates[f]) {
+                    r -= rates[f];
+                    ++f;
+                }
+                this.move(f, 1);
+            }
+            this.time = end;
+        }
+
+        tauStep(end) {
+            while (this.time < end - 1e-9) {
+                const tau = Math.min(this.config.tau, end - this.time);
+                const rates = this.flowRates(this.compartments);
+                // Every flow leaps from the same state
+                const numbers = rates.map(
+                    rate => poisson(rate * tau, this.random));
+                this.time += tau;
+                numbers.forEach((number, f) => this.move(f, number));
+            }
+            this.time = end;
+        }
+
+        step() {
+            const end = this.iteration + 1.0;
+            if (this.config.algorithm === "tau")
+                this.tauStep(end);
+            else
+                this.directStep(end);
+            this.recordResult(this.iteration);
+            ++this.iteration;
+        }
+    }
+
+    EpiMacro.StochasticModel = StochasticModel;
+
+    EpiMacro.createStochastic = function(options={}) {
+        return new StochasticModel(options);
+    }
+
+    // Creates and runs a stochastic model to maxIterations
+    function runStochasticModel(options) {
+        let model = new StochasticModel(options);
+        model.run();
+        return model;
+    }
+
+    EpiMacro.runStochasticModel = runStochasticModel;
+
+    function eventsToCSV(model) {
+        let text = "time,from,to,number\n";
+        for (const event of model.events)
+            text += event.join(",") + "\n";
+        return text;
+    }
+
+    EpiMacro.eventsToCSV = eventsToCSV;
+
+} (typeof module === "object" && module.exports ? module.exports :
+   (window.EpiMacro = window.EpiMacro || {})));